@@ -1,44 +1,68 @@
-import { useState, useEffect, useRef, useCallback } from "react";
+import { useState, useEffect, useRef, useCallback, useMemo } from "react";
+import {
+  PI,
+  ROCK_RADIUS,
+  ROCKS_PER_TEAM,
+  WORLD,
+  GRID_COLS,
+  GRID_ROWS,
+  GRID_X_MIN,
+  GRID_Y_MIN,
+  CELL_W,
+  CELL_H,
+  GRID_RESOLUTIONS,
+  DEFAULT_RESOLUTION,
+  DEFAULTS,
+  createRng,
+  forkRng,
+  normalizeSeed,
+  randomSeed,
+  IceGrid,
+  ICE_PROFILES,
+  createIce,
+  createRock,
+  launchRock,
+  physicsTick,
+  createAccumulator,
+  advanceFixed,
+  interpolateRock,
+  scoreEnd,
+  nextHammer,
+  gameResult,
+  concedeGame,
+  LSD_MISS,
+  measureDraw,
+  lastStoneDraw,
+  FREE_GUARD_ZONE_ROCKS,
+  freeGuardZoneSnapshot,
+  enforceFreeGuardZone,
+  GAME_MODES,
+  positionedStones,
+  placementDecisionTeam,
+  END_OPTIONS,
+  ROCKS_PER_TEAM_OPTIONS,
+  matchRules,
+  createSweeper,
+  addStroke,
+  stepSweeper,
+  BRUSHES,
+  DEFAULT_BRUSH,
+  sweepTarget,
+  MAINTENANCE_PLANS,
+  maintainIce,
+  exportIce,
+  importIce,
+  addIceProfile,
+  loadIceProfiles,
+  ICE_MAKER_TOOLS,
+  paintIce,
+  createIceHistory,
+  recordIce,
+  undoIce,
+  redoIce,
+  iceProfileFromGrid,
+} from "./engine/index.mjs";
 
-const PI = Math.PI;
-const ROCK_RADIUS = 5;
-const RESTITUTION = 0.92;
-const ROCKS_PER_TEAM = 8;
-const ROCKS_PER_END = ROCKS_PER_TEAM * 2;
-
-const WORLD = {
-  sheetHalfWidth: 82,
-  sheetStart: 50,
-  sheetEnd: -680,
-  hogLine: -380,
-  tLine: -540,
-  backLine: -612,
-  hackPos: -100,
-  houseCenter: { x: -540, y: 0 },
-  houseRadii: [6, 24, 48, 72],
-};
-
-const GRID_COLS = 48,
-  GRID_ROWS = 16;
-const GRID_X_MIN = WORLD.sheetEnd,
-  GRID_X_MAX = WORLD.sheetStart;
-const GRID_Y_MIN = -WORLD.sheetHalfWidth,
-  GRID_Y_MAX = WORLD.sheetHalfWidth;
-const CELL_W = (GRID_X_MAX - GRID_X_MIN) / GRID_COLS;
-const CELL_H = (GRID_Y_MAX - GRID_Y_MIN) / GRID_ROWS;
-const CURL_SAMPLE_OFFSET = ROCK_RADIUS * 0.8;
-
-const DEFAULTS = {
-  baseFriction: 0.08,
-  pebbleFrictionBonus: 0.07,
-  curlCoeff: 40,
-  gradientCoeff: 8,
-  slopeGravity: 18,
-  frictionDecel: 5,
-  speedScale: 60,
-  wearRate: 0.0015,
-  sweepBoost: 0.15,
-};
 
 // ============================================================
 // THEMES
@@ -176,6 +200,20 @@ const THEMES = {
 // ============================================================
 // SHARED DRAWING UTILS
 // ============================================================
+// Top-down view of a W×H canvas: the sheet runs up the screen (house at
+// the top) with +y to the right. toS maps world → canvas, toW back.
+function topDownView(W, H) {
+  const xRange = WORLD.sheetStart - WORLD.sheetEnd,
+    yRange = WORLD.sheetHalfWidth * 2;
+  const uScale = Math.min((H * 0.92) / xRange, (W * 0.92) / yRange);
+  const wcx = (WORLD.sheetStart + WORLD.sheetEnd) / 2;
+  return {
+    uScale,
+    toS: (wx, wy) => [W / 2 + wy * uScale, H / 2 + (wx - wcx) * uScale],
+    toW: (sx, sy) => [(sy - H / 2) / uScale + wcx, (sx - W / 2) / uScale],
+  };
+}
+
 function drawHouseRings(ctx, cx, cy, r2s, th) {
   th.houseRings.forEach(([r, f, s, lw]) => {
     ctx.fillStyle = f;
@@ -251,8 +289,7 @@ function drawPerspective(ctx, W, H, state) {
     WORLD: WD,
     ROCK_RADIUS: RR,
     rocks,
-    deliveryRock,
-    sweeping,
+    sweeps,
     phase,
     aimAngle,
     currentTeam,
@@ -392,14 +429,15 @@ function drawPerspective(ctx, W, H, state) {
     ctx.fillStyle = th.hackFill;
     ctx.fillRect(hk.sx - hw, hk.sy - 1, hw * 2, 3);
   }
-  if (phase === "running" && deliveryRock?.inPlay && sweeping) {
-    const rp = proj(deliveryRock.x, deliveryRock.y),
+  for (const { rock, effort } of sweeps) {
+    if (phase !== "running" || !rock?.inPlay || effort <= 0.05) continue;
+    const rp = proj(rock.x, rock.y),
       hpp = proj(WD.houseCenter.x, 0);
     if (rp && hpp) {
       const cw = rp.sc * 18,
         hw2 = hpp.sc * 40;
       ctx.save();
-      ctx.globalAlpha = 0.2;
+      ctx.globalAlpha = 0.25 * effort;
       ctx.fillStyle = "#00e8e8";
       ctx.beginPath();
       ctx.moveTo(rp.sx - cw, rp.sy);
@@ -508,7 +546,7 @@ function drawPerspective(ctx, W, H, state) {
 // HOUSE ZOOM RENDERER
 // ============================================================
 function drawHouseZoom(ctx, W, H, state) {
-  const { WORLD: WD, ROCK_RADIUS: RR, rocks, theme: th } = state;
+  const { WORLD: WD, ROCK_RADIUS: RR, rocks, theme: th, measure } = state;
   ctx.fillStyle = th.canvasBg;
   ctx.fillRect(0, 0, W, H);
   const vr = WD.houseRadii[3] + RR * 2 + 10,
@@ -562,234 +600,69 @@ function drawHouseZoom(ctx, W, H, state) {
       rock.velocity > 0.1,
     );
   }
+  // Measure: a tape from the button to every stone in the house, the
+  // opposition's closest stone as the counting ring, and each stone marked
+  // with its count number, "=" for a tie or "B" for a biter.
+  if (measure) {
+    const byId = new Map(rocks.map((r) => [r.id, r]));
+    const ring = measure.tie
+      ? measure.stones[0]
+      : measure.stones.find((st) => st.team !== measure.scoringTeam);
+    if (ring) {
+      ctx.strokeStyle = measure.measures.length ? "#f0c830" : th.dimText;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath();
+      ctx.arc(hcx, hcy, r2s(ring.dist), 0, PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    ctx.font = "bold 7px " + th.font;
+    ctx.textAlign = "center";
+    let n = 0;
+    for (const st of measure.stones) {
+      const rock = byId.get(st.id);
+      if (!rock) continue;
+      const [rx, ry] = toS(rock.x, rock.y);
+      ctx.strokeStyle = st.counts ? th.teams[st.team].s : th.dimText;
+      ctx.lineWidth = st.counts ? 1.2 : 0.6;
+      ctx.beginPath();
+      ctx.moveTo(hcx, hcy);
+      ctx.lineTo(rx, ry);
+      ctx.stroke();
+      const mark = st.counts
+        ? String(++n)
+        : st.reason === "tied"
+          ? "="
+          : st.biter
+            ? "B"
+            : "";
+      ctx.fillStyle = th.textColor;
+      if (mark) ctx.fillText(mark, rx, ry + 2.5);
+      ctx.fillStyle = th.dimText;
+      ctx.fillText(
+        st.dist.toFixed(1) + (st.counts && st.biter ? " B" : ""),
+        rx,
+        ry - r2s(RR) * 1.05 - 3,
+      );
+    }
+    ctx.fillStyle = "#f0c830";
+    measure.measures.forEach((m, i) => {
+      const [a, b] = m.ids.map((id) => th.teams[byId.get(id).team].name);
+      ctx.fillText(
+        `${a} v ${b}: ${m.diff.toFixed(2)} apart`,
+        W / 2,
+        12 + i * 9,
+      );
+    });
+  }
   ctx.font = "bold 8px " + th.font;
   ctx.fillStyle = th.dimText;
   ctx.textAlign = "center";
-  ctx.fillText("HOUSE", W / 2, H - 4);
+  ctx.fillText(measure ? "MEASURE" : "HOUSE", W / 2, H - 4);
   ctx.textAlign = "start";
 }
 
-function createCell() {
-  return {
-    pebbleHeight: 1.0,
-    temperature: 0,
-    moisture: 0,
-    slopeX: 0,
-    slopeY: 0,
-  };
-}
-
-function cellFriction(cell, bf, pb) {
-  return Math.max(
-    0.02,
-    bf +
-      cell.pebbleHeight * pb -
-      cell.moisture * 0.03 +
-      cell.temperature * 0.002,
-  );
-}
-
-class IceGrid {
-  constructor() {
-    this.cells = [];
-    for (let c = 0; c < GRID_COLS; c++) {
-      this.cells[c] = [];
-      for (let r = 0; r < GRID_ROWS; r++) this.cells[c][r] = createCell();
-    }
-  }
-  toGrid(wx, wy) {
-    return [
-      Math.max(
-        0,
-        Math.min(GRID_COLS - 1, Math.floor((wx - GRID_X_MIN) / CELL_W)),
-      ),
-      Math.max(
-        0,
-        Math.min(GRID_ROWS - 1, Math.floor((wy - GRID_Y_MIN) / CELL_H)),
-      ),
-    ];
-  }
-  _bilinear(wx, wy, fn) {
-    const fx = (wx - GRID_X_MIN) / CELL_W - 0.5,
-      fy = (wy - GRID_Y_MIN) / CELL_H - 0.5;
-    const c0 = Math.max(0, Math.min(GRID_COLS - 2, Math.floor(fx))),
-      r0 = Math.max(0, Math.min(GRID_ROWS - 2, Math.floor(fy)));
-    const tx = Math.max(0, Math.min(1, fx - c0)),
-      ty = Math.max(0, Math.min(1, fy - r0));
-    return (
-      fn(this.cells[c0][r0]) * (1 - tx) * (1 - ty) +
-      fn(this.cells[c0 + 1][r0]) * tx * (1 - ty) +
-      fn(this.cells[c0][r0 + 1]) * (1 - tx) * ty +
-      fn(this.cells[c0 + 1][r0 + 1]) * tx * ty
-    );
-  }
-  sampleFriction(wx, wy, bf, pb) {
-    return this._bilinear(wx, wy, (c) => cellFriction(c, bf, pb));
-  }
-  sampleSlope(wx, wy) {
-    return {
-      sx: this._bilinear(wx, wy, (c) => c.slopeX),
-      sy: this._bilinear(wx, wy, (c) => c.slopeY),
-    };
-  }
-  applyWear(wx, wy, dt, isSweeping, wearRate) {
-    const [c, r] = this.toGrid(wx, wy);
-    for (let dc = -1; dc <= 1; dc++)
-      for (let dr = -1; dr <= 1; dr++) {
-        const cc = c + dc,
-          rr = r + dr;
-        if (cc < 0 || cc >= GRID_COLS || rr < 0 || rr >= GRID_ROWS) continue;
-        const w = dc === 0 && dr === 0 ? 1.0 : 0.3,
-          cell = this.cells[cc][rr];
-        cell.pebbleHeight = Math.max(0, cell.pebbleHeight - wearRate * w * dt);
-        if (isSweeping) {
-          cell.pebbleHeight = Math.max(
-            0,
-            cell.pebbleHeight - wearRate * 2.5 * w * dt,
-          );
-          cell.moisture = Math.min(1, cell.moisture + 0.05 * w * dt);
-        }
-      }
-  }
-  evaporateMoisture(dt) {
-    for (let c = 0; c < GRID_COLS; c++)
-      for (let r = 0; r < GRID_ROWS; r++) {
-        const cell = this.cells[c][r];
-        if (cell.moisture > 0)
-          cell.moisture = Math.max(0, cell.moisture - 0.008 * dt);
-      }
-  }
-}
-
-const ICE_PROFILES = {
-  championship: {
-    name: "Championship",
-    desc: "Flat, consistent, fresh pebble.",
-    init: () => {},
-  },
-  club: {
-    name: "Club Ice",
-    desc: "Slight dish, mild center wear.",
-    init: (grid) => {
-      for (let c = 0; c < GRID_COLS; c++)
-        for (let r = 0; r < GRID_ROWS; r++) {
-          const cell = grid.cells[c][r];
-          const yN = (r - GRID_ROWS / 2) / (GRID_ROWS / 2);
-          cell.slopeY = -yN * 0.0012;
-          if (Math.abs(yN) < 0.3)
-            cell.pebbleHeight -= 0.12 * (1 - Math.abs(yN) / 0.3);
-        }
-    },
-  },
-  arena: {
-    name: "Arena",
-    desc: "Cold ice, brine trough, corner slope.",
-    init: (grid) => {
-      for (let c = 0; c < GRID_COLS; c++)
-        for (let r = 0; r < GRID_ROWS; r++) {
-          const cell = grid.cells[c][r];
-          cell.temperature = -1.5;
-          const yW = GRID_Y_MIN + (r + 0.5) * CELL_H,
-            xW = GRID_X_MIN + (c + 0.5) * CELL_W;
-          if (Math.abs(yW - 25) < 8) {
-            cell.temperature -= 2;
-            cell.pebbleHeight -= 0.12;
-            cell.slopeY = 0.0012;
-          }
-          if (xW < -500 && yW > 40) {
-            cell.slopeY = -0.003;
-            cell.slopeX = -0.001;
-          }
-        }
-    },
-  },
-  swingy: {
-    name: "Swingy",
-    desc: "Heavy dish, thick pebble, big curl.",
-    init: (grid) => {
-      for (let c = 0; c < GRID_COLS; c++)
-        for (let r = 0; r < GRID_ROWS; r++) {
-          const cell = grid.cells[c][r];
-          const yN = (r - GRID_ROWS / 2) / (GRID_ROWS / 2);
-          cell.slopeY = -yN * 0.003;
-          cell.pebbleHeight = 1.2;
-        }
-    },
-  },
-  discovery: {
-    name: "Discovery",
-    desc: "Random hidden features.",
-    init: (grid) => {
-      const R = Math.random;
-      const dish = (R() - 0.3) * 0.003;
-      const tY = (R() - 0.5) * 130,
-        tW = 5 + R() * 12,
-        tS = (R() - 0.5) * 0.003,
-        hasT = R() > 0.35;
-      const hasCrn = R() > 0.4,
-        cqx = R() > 0.5 ? 1 : -1,
-        cqy = R() > 0.5 ? 1 : -1,
-        cs = 0.001 + R() * 0.004;
-      const wOff = (R() - 0.5) * 30,
-        wAmt = 0.05 + R() * 0.2;
-      for (let c = 0; c < GRID_COLS; c++)
-        for (let r = 0; r < GRID_ROWS; r++) {
-          const cell = grid.cells[c][r];
-          const xW = GRID_X_MIN + (c + 0.5) * CELL_W,
-            yW = GRID_Y_MIN + (r + 0.5) * CELL_H;
-          const yN = (r - GRID_ROWS / 2) / (GRID_ROWS / 2);
-          cell.slopeY += -yN * dish;
-          if (hasT && Math.abs(yW - tY) < tW) {
-            const d = 1 - Math.abs(yW - tY) / tW;
-            cell.temperature -= 1.5 * d;
-            cell.pebbleHeight -= 0.08 * d;
-            cell.slopeY += tS * d;
-          }
-          if (
-            hasCrn &&
-            (cqx > 0 ? xW < -480 : xW > -200) &&
-            (cqy > 0 ? yW > 30 : yW < -30)
-          ) {
-            cell.slopeY += cqy * -cs;
-            cell.slopeX += cqx * -cs * 0.3;
-          }
-          if (Math.abs(yW - wOff) < 15)
-            cell.pebbleHeight -= wAmt * (1 - Math.abs(yW - wOff) / 15);
-          cell.pebbleHeight = Math.max(0, Math.min(1.3, cell.pebbleHeight));
-        }
-    },
-  },
-};
-
-function createRock(team, id) {
-  return {
-    id,
-    team,
-    x: 0,
-    y: 0,
-    angle: 0,
-    velocity: 0,
-    spin: 1,
-    paperTurns: 1.0,
-    inPlay: false,
-    active: false,
-    stopped: false,
-    hasContacted: false,
-    dbg: {
-      spinCurl: 0,
-      gradDrift: 0,
-      slopeY: 0,
-      slopeX: 0,
-      friction: 0,
-      vFactor: 0,
-      fL: 0,
-      fR: 0,
-      v: 0,
-      spin: 1,
-    },
-  };
-}
-
 function Slider({ label, value, min, max, step, onChange, theme: th }) {
   return (
     <div
@@ -842,17 +715,82 @@ export default function CurlingGame() {
     iceGridRef = useRef(new IceGrid());
   const [phase, setPhase] = useState("title");
   const [currentEnd, setCurrentEnd] = useState(1);
-  const [totalEnds] = useState(8);
+  // Match setup, chosen on the title screen
+  const [totalEnds, setTotalEnds] = useState(8);
+  const [rocksPerTeam, setRocksPerTeam] = useState(ROCKS_PER_TEAM);
+  const [concessions, setConcessions] = useState(true);
+  const [brush, setBrush] = useState(DEFAULT_BRUSH);
+  // Ice crew: plan run after every `crewEvery` ends, and the crew's quality
+  const [crewPlan, setCrewPlan] = useState("none");
+  const [crewEvery, setCrewEvery] = useState(1);
+  const [crewQuality, setCrewQuality] = useState(0.8);
+  // How the game ended, kept with the game record:
+  // { winner, concededBy, end } (concededBy -1 = played out)
+  const [result, setResult] = useState(null);
   const [currentTeam, setCurrentTeam] = useState(0);
+  // Team with the last stone of the current end; the other leads off
+  const [hammer, setHammer] = useState(1);
+  const firstTeam = 1 - hammer;
   const [rockNum, setRockNum] = useState(0);
   const [scores, setScores] = useState([[], []]);
+  // Game record: one entry per completed end
+  // ({ end, hammer, scoringTeam, pts, tie })
+  const [endLog, setEndLog] = useState([]);
+  // Pre-game Last Stone Draw: draws per team (0 = off), and the game's LSD
+  // record ({ draws } while drawing, then lastStoneDraw's result)
+  const [lsdStones, setLsdStones] = useState(0);
+  const [lsd, setLsd] = useState(null);
+  const drawingLsd = !!lsd && lsd.hammer === undefined;
   const [endScoreDisplay, setEndScoreDisplay] = useState(null);
   const [aimAngle, setAimAngle] = useState(0);
   const [power, setPower] = useState(0);
   const [curlDir, setCurlDir] = useState(1);
+  // Side of the stone the delivering team sweeps: -1 left, 0 ahead, +1 right
+  const [sweepSide, setSweepSide] = useState(0);
   // Vertical-only mode - horizontal mode removed
   const [isNarrowLayout, setIsNarrowLayout] = useState(true);
   const [iceProfile, setIceProfile] = useState("club");
+  const [iceResolution, setIceResolution] = useState(DEFAULT_RESOLUTION);
+  // Ice file loaded to play on instead of a profile ({ name, data }), and
+  // why the last file couldn't be loaded
+  const [iceFile, setIceFile] = useState(null);
+  const [iceFileError, setIceFileError] = useState(null);
+  const [packError, setPackError] = useState(null);
+  // Ice maker: painting the sheet on the top-down canvas with this brush
+  // (see paintIce), the strokes there are to undo and redo, and the name
+  // the sheet is saved under
+  const [editing, setEditing] = useState(false);
+  const [maker, setMaker] = useState({
+    tool: "pebble",
+    value: ICE_MAKER_TOOLS.pebble.values[1],
+    direction: PI / 2,
+    radius: 20,
+    strength: 0.5,
+    mirror: true,
+  });
+  const setM = (key, val) => setMaker((prev) => ({ ...prev, [key]: val }));
+  const [strokes, setStrokes] = useState({ undo: 0, redo: 0 });
+  const [makerName, setMakerName] = useState("My ice");
+  const [seed, setSeed] = useState(randomSeed);
+  // Seed field text while it is being edited (null = showing `seed`); it
+  // becomes the seed when the field loses focus
+  const [seedText, setSeedText] = useState(null);
+  const commitSeed = () => {
+    if (seedText !== null) setSeed(normalizeSeed(seedText));
+    setSeedText(null);
+  };
+  // Stones per end protected by the free guard zone rule (0 = off)
+  const [fgzRocks, setFgzRocks] = useState(FREE_GUARD_ZONE_ROCKS);
+  const [notice, setNotice] = useState(null);
+  const [mode, setMode] = useState("standard");
+  const gameMode = useMemo(
+    () => matchRules(mode, rocksPerTeam),
+    [mode, rocksPerTeam],
+  );
+  // Mixed doubles: team choosing the positioned stones this end, and
+  // whether each team has spent its power play
+  const [placementTeam, setPlacementTeam] = useState(0);
+  const [powerPlayUsed, setPowerPlayUsed] = useState([false, false]);
   const [showOverlay, setShowOverlay] = useState(false);
   const [showProfilePicker, setShowProfilePicker] = useState(false);
   const [showAdvanced, setShowAdvanced] = useState(false);
@@ -863,231 +801,292 @@ export default function CurlingGame() {
   const setT = (key, val) => setTune((prev) => ({ ...prev, [key]: val }));
   const rocksRef = useRef([]),
     deliveryRockRef = useRef(null),
-    sweepingRef = useRef(false);
-
-  const initIce = useCallback((pk) => {
-    const g = new IceGrid();
-    ICE_PROFILES[pk]?.init(g);
-    iceGridRef.current = g;
+    // One sweeper per team, and the stone each is sweeping this step
+    sweepersRef = useRef([createSweeper(), createSweeper()]),
+    sweepTargetsRef = useRef([null, null]),
+    rngRef = useRef(createRng(1)),
+    crewRngRef = useRef(createRng(1)),
+    // Profile, seed and grid resolution of the sheet last played, kept
+    // between games
+    sheetRef = useRef(null),
+    makerHistoryRef = useRef(createIceHistory()),
+    // Heatmap of the ice grid drawn under the stones (see buildOverlay)
+    overlayRef = useRef(null),
+    // Brush position on the sheet (world) while the ice maker is open, and
+    // whether a stroke is being painted
+    makerCursorRef = useRef(null),
+    paintingRef = useRef(false),
+    alphaRef = useRef(0),
+    fgzRef = useRef(null);
+
+  const initIce = useCallback((pk, rng, resolution) => {
+    iceGridRef.current = createIce(pk, rng, resolution);
   }, []);
-  const initEnd = useCallback(() => {
+  // Save the sheet as it is now, wear and all, as an ice file
+  const exportSheet = () => {
+    const name = iceFile?.name ?? `${ICE_PROFILES[iceProfile].name} #${seed}`;
+    const file = exportIce(iceGridRef.current, { name });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(
+      new Blob([JSON.stringify(file)], { type: "application/json" }),
+    );
+    a.download = `${name.replace(/[^\w-]+/g, "-").toLowerCase()}.ice.json`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  };
+  // Open the ice maker on the sheet the next game would be played on
+  const openIceMaker = () => {
+    iceGridRef.current = iceFile
+      ? importIce(iceFile.data)
+      : createIce(iceProfile, forkRng(createRng(seed)), iceResolution);
+    sheetRef.current = null;
+    makerHistoryRef.current = createIceHistory();
+    setStrokes({ undo: 0, redo: 0 });
+    setShowOverlay(true);
+    setEditing(true);
+  };
+  const countStrokes = () => {
+    const h = makerHistoryRef.current;
+    setStrokes({ undo: h.undo.length, redo: h.redo.length });
+  };
+  const paintAt = (e) => {
+    const canvas = canvasRef.current,
+      rect = canvas.getBoundingClientRect();
+    const [x, y] = topDownView(canvas.width, canvas.height).toW(
+      ((e.clientX - rect.left) * canvas.width) / rect.width,
+      ((e.clientY - rect.top) * canvas.height) / rect.height,
+    );
+    makerCursorRef.current = { x, y };
+    if (paintingRef.current) paintIce(iceGridRef.current, { ...maker, x, y });
+  };
+  const startStroke = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    recordIce(makerHistoryRef.current, iceGridRef.current);
+    countStrokes();
+    paintingRef.current = true;
+    paintAt(e);
+  };
+  const stepHistory = (step) => {
+    step(makerHistoryRef.current, iceGridRef.current);
+    countStrokes();
+  };
+  const saveIceProfile = () => {
+    const name = makerName.trim() || "Custom ice";
+    const key = addIceProfile(
+      `custom:${name}`,
+      iceProfileFromGrid(iceGridRef.current, { name }),
+    );
+    setIceProfile(key);
+    setIceFile(null);
+    setEditing(false);
+  };
+  const importSheet = (e) => {
+    const f = e.target.files[0];
+    e.target.value = "";
+    if (!f) return;
+    f.text().then((text) => {
+      try {
+        const data = JSON.parse(text);
+        importIce(data);
+        setIceFile({ name: data.name || f.name, data });
+        setIceFileError(null);
+      } catch (err) {
+        setIceFileError(err.message);
+      }
+    });
+  };
+  // Add the profiles in a profile pack to the picker, choosing the first
+  const importProfiles = (e) => {
+    const f = e.target.files[0];
+    e.target.value = "";
+    if (!f) return;
+    f.text().then((text) => {
+      try {
+        const [key] = loadIceProfiles(text);
+        setIceProfile(key);
+        setIceFile(null);
+        setPackError(null);
+      } catch (err) {
+        setPackError(err.message);
+      }
+    });
+  };
+  const initEnd = useCallback((perTeam) => {
     rocksRef.current = [];
     for (let t = 0; t < 2; t++)
-      for (let i = 0; i < ROCKS_PER_TEAM; i++) {
-        const r = createRock(t, t * ROCKS_PER_TEAM + i);
+      for (let i = 0; i < perTeam; i++) {
+        const r = createRock(t, t * perTeam + i);
         r.x = 200 + i * 20;
         r.y = t === 0 ? -60 : 60;
         rocksRef.current.push(r);
       }
   }, []);
 
-  const resolveCollisions = useCallback((rocks) => {
-    for (let i = 0; i < rocks.length; i++) {
-      const a = rocks[i];
-      if (!a.inPlay || a.velocity <= 0.05) continue;
-      for (let j = 0; j < rocks.length; j++) {
-        if (i === j) continue;
-        const b = rocks[j];
-        if (!b.inPlay) continue;
-        const dx = a.x - b.x,
-          dy = a.y - b.y,
-          dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist < ROCK_RADIUS * 2 && dist > 0) {
-          const nx = (b.x - a.x) / dist,
-            ny = (b.y - a.y) / dist;
-          const avx = Math.cos(a.angle) * a.velocity,
-            avy = Math.sin(a.angle) * a.velocity;
-          const bvx = Math.cos(b.angle) * b.velocity,
-            bvy = Math.sin(b.angle) * b.velocity;
-          const rv = (avx - bvx) * nx + (avy - bvy) * ny;
-          if (rv > 0) {
-            const imp = rv * RESTITUTION;
-            const nax = avx - imp * nx,
-              nay = avy - imp * ny,
-              nbx = bvx + imp * nx,
-              nby = bvy + imp * ny;
-            a.velocity = Math.sqrt(nax * nax + nay * nay);
-            b.velocity = Math.sqrt(nbx * nbx + nby * nby);
-            if (a.velocity > 0.01) a.angle = Math.atan2(nay, nax);
-            if (b.velocity > 0.01) b.angle = Math.atan2(nby, nbx);
-          }
-          const ol = ROCK_RADIUS * 2 - dist;
-          a.x += (dx / dist) * ol * 0.5;
-          a.y += (dy / dist) * ol * 0.5;
-          b.x -= (dx / dist) * ol * 0.5;
-          b.y -= (dy / dist) * ol * 0.5;
-          b.inPlay = true;
-          b.active = true;
-          b.stopped = false;
-          a.hasContacted = true;
-          b.hasContacted = true;
-        }
-      }
-    }
-  }, []);
-
-  const removeRock = (rock) => {
-    rock.inPlay = false;
-    rock.active = false;
-    rock.velocity = 0;
-    rock.x = 800;
-  };
-
-  const physicsTick = useCallback(
-    (dt) => {
-      const rocks = rocksRef.current,
-        grid = iceGridRef.current,
-        T = tune;
-      let anyMoving = false;
-      grid.evaporateMoisture(dt);
-      for (const rock of rocks) {
-        if (!rock.inPlay || rock.velocity <= 0.02) {
-          if (rock.inPlay) rock.stopped = true;
-          continue;
-        }
-        anyMoving = true;
-        rock.stopped = false;
-        const isSweeping =
-          sweepingRef.current && rock === deliveryRockRef.current;
-        const friction = grid.sampleFriction(
-          rock.x,
-          rock.y,
-          T.baseFriction,
-          T.pebbleFrictionBonus,
-        );
-        const slope = grid.sampleSlope(rock.x, rock.y);
-        rock.velocity = Math.max(
-          0,
-          rock.velocity - friction * T.frictionDecel * dt,
-        );
-        if (isSweeping && rock.velocity > 0.3)
-          rock.velocity += dt * T.sweepBoost;
-        const v = rock.velocity,
-          vFactor = Math.max(0.3, Math.sqrt(v / 2));
-        const spinCurl =
-          rock.spin * rock.paperTurns * friction * T.curlCoeff * vFactor;
-        const perpX = -Math.sin(rock.angle) * CURL_SAMPLE_OFFSET,
-          perpY = Math.cos(rock.angle) * CURL_SAMPLE_OFFSET;
-        const fL = grid.sampleFriction(
-          rock.x + perpX,
-          rock.y + perpY,
-          T.baseFriction,
-          T.pebbleFrictionBonus,
-        );
-        const fR = grid.sampleFriction(
-          rock.x - perpX,
-          rock.y - perpY,
-          T.baseFriction,
-          T.pebbleFrictionBonus,
-        );
-        const gradDrift = (fL - fR) * T.gradientCoeff * vFactor;
-        const slopeScale = Math.min(1, v * 2);
-        const slopeYF = slope.sy * T.slopeGravity * slopeScale,
-          slopeXF = slope.sx * T.slopeGravity * slopeScale;
-        rock.dbg = {
-          spinCurl,
-          gradDrift,
-          slopeY: slopeYF,
-          slopeX: slopeXF,
-          friction,
-          vFactor,
-          fL,
-          fR,
-          v,
-          spin: rock.spin,
-        };
-        rock.y += (spinCurl + gradDrift + slopeYF) * dt;
-        rock.velocity = Math.max(0, rock.velocity + slopeXF * dt * 0.5);
-        rock.x += Math.cos(rock.angle) * rock.velocity * dt * T.speedScale;
-        rock.y += Math.sin(rock.angle) * rock.velocity * dt * T.speedScale;
-        grid.applyWear(rock.x, rock.y, dt, isSweeping, T.wearRate);
-        if (rock.x - ROCK_RADIUS < WORLD.backLine) {
-          removeRock(rock);
-          continue;
-        }
-        if (Math.abs(rock.y) + ROCK_RADIUS > WORLD.sheetHalfWidth) {
-          removeRock(rock);
-          continue;
-        }
-        if (
-          rock.velocity <= 0.02 &&
-          rock.x > WORLD.hogLine - ROCK_RADIUS &&
-          !rock.hasContacted
-        ) {
-          removeRock(rock);
-          continue;
-        }
-      }
-      resolveCollisions(rocks);
-      return anyMoving;
-    },
-    [resolveCollisions, tune],
-  );
-
-  const scoreEnd = useCallback(() => {
-    const rocks = rocksRef.current.filter((r) => r.inPlay),
-      hx = WORLD.houseCenter.x,
-      hy = WORLD.houseCenter.y,
-      maxR = WORLD.houseRadii[3] + ROCK_RADIUS;
-    const dists = [[], []];
-    for (const r of rocks) {
-      const d = Math.sqrt((r.x - hx) ** 2 + (r.y - hy) ** 2);
-      if (d <= maxR) dists[r.team].push(d);
-    }
-    dists[0].sort((a, b) => a - b);
-    dists[1].sort((a, b) => a - b);
-    let sT = -1,
-      pts = 0;
-    if (!dists[0].length && !dists[1].length) {
-    } else if (!dists[1].length) {
-      sT = 0;
-      pts = dists[0].length;
-    } else if (!dists[0].length) {
-      sT = 1;
-      pts = dists[1].length;
-    } else if (dists[0][0] < dists[1][0]) {
-      sT = 0;
-      pts = dists[0].filter((d) => d < dists[1][0]).length;
-    } else {
-      sT = 1;
-      pts = dists[1].filter((d) => d < dists[0][0]).length;
-    }
-    return { scoringTeam: sT, pts };
-  }, []);
-
   const deliverRock = useCallback(() => {
     const ti = currentTeam,
       ri = Math.floor(rockNum / 2);
     const rock = rocksRef.current.find(
-      (r) => r.team === ti && r.id === ti * ROCKS_PER_TEAM + ri,
+      (r) => r.team === ti && r.id === ti * gameMode.rocksPerTeam + ri,
     );
     if (!rock) return;
-    rock.x = WORLD.hackPos;
-    rock.y = aimAngle;
-    rock.angle = PI;
-    rock.velocity = 1.8 + 2.6 * Math.pow(power / 100, 0.5);
-    rock.spin = curlDir; // Fixed: vertical mode only, no flip needed
-    rock.paperTurns = 0.8 + Math.random() * 0.4;
-    rock.inPlay = true;
-    rock.active = true;
-    rock.stopped = false;
-    rock.hasContacted = false;
+    // Mixed doubles replaces the free guard zone: no stone at all may be
+    // removed before the fourth delivered stone.
+    fgzRef.current = drawingLsd
+      ? null
+      : gameMode.noRemovalStones
+        ? freeGuardZoneSnapshot(
+            rocksRef.current,
+            ti,
+            rockNum,
+            gameMode.noRemovalStones,
+            { anyStone: true },
+          )
+        : freeGuardZoneSnapshot(rocksRef.current, ti, rockNum, fgzRocks);
+    setNotice(null);
+    launchRock(rock, {
+      aim: aimAngle,
+      power,
+      spin: curlDir,
+      paperTurns: 0.8 + rngRef.current() * 0.4,
+    });
     deliveryRockRef.current = rock;
-  }, [currentTeam, rockNum, aimAngle, power, curlDir]);
+  }, [
+    currentTeam,
+    rockNum,
+    aimAngle,
+    power,
+    curlDir,
+    fgzRocks,
+    gameMode,
+    drawingLsd,
+  ]);
+
+  // Mixed doubles: put each team's last stone on the sheet. The team with
+  // the house stone delivers second; the guard's team delivers first.
+  const placeStones = useCallback(
+    (houseTeam, powerPlay = 0) => {
+      const { house, guard } = positionedStones(powerPlay);
+      const last = gameMode.rocksPerTeam - 1;
+      for (const [t, pos] of [
+        [houseTeam, house],
+        [1 - houseTeam, guard],
+      ]) {
+        const r = rocksRef.current.find(
+          (r) => r.id === t * gameMode.rocksPerTeam + last,
+        );
+        r.x = r.prevX = pos.x;
+        r.y = r.prevY = pos.y;
+        r.inPlay = true;
+      }
+      if (powerPlay)
+        setPowerPlayUsed((prev) =>
+          prev.map((used, t) => used || t === houseTeam),
+        );
+      setHammer(houseTeam);
+      setCurrentTeam(1 - houseTeam);
+      setPhase("aiming");
+    },
+    [gameMode],
+  );
+
+  // Inputs the running loop reads each step. Changing them mid-delivery
+  // must not restart the loop, which would reset its step accumulator.
+  const liveRef = useRef(null);
+  liveRef.current = { sweepSide, brush, tune };
 
   useEffect(() => {
     if (phase !== "running") return;
+    // Physics runs in fixed steps whatever the display's frame rate; the
+    // leftover fraction of a step is used to interpolate the drawing.
+    const acc = createAccumulator();
     let last = performance.now();
     const loop = (now) => {
-      const dt = Math.min((now - last) / 1000, 0.05);
+      const { moving, alpha } = advanceFixed(
+        acc,
+        rocksRef.current,
+        (now - last) / 1000,
+        (dt) => {
+          // Sweeping effort follows the tap cadence in physics time. Each
+          // team sweeps the stone the rules let it; both may sweep one stone
+          // behind the tee line.
+          const efforts = sweepersRef.current.map((sw) => stepSweeper(sw, dt));
+          const targets = [0, 1].map((t) =>
+            drawingLsd && t !== currentTeam
+              ? null
+              : sweepTarget(rocksRef.current, t, currentTeam),
+          );
+          sweepTargetsRef.current = targets;
+          const { tune, sweepSide, brush } = liveRef.current;
+          return physicsTick(rocksRef.current, iceGridRef.current, tune, dt, {
+            sweepEffort: (rock) =>
+              targets.reduce((e, r, t) => (r === rock ? e + efforts[t] : e), 0),
+            sweepSide: (rock) =>
+              rock === targets[currentTeam] ? sweepSide : 0,
+            brush,
+          });
+        },
+      );
       last = now;
-      if (!physicsTick(dt)) {
-        sweepingRef.current = false;
+      alphaRef.current = alpha;
+      if (!moving) {
+        const delivered = deliveryRockRef.current;
+        sweepersRef.current = [createSweeper(), createSweeper()];
+        sweepTargetsRef.current = [null, null];
         deliveryRockRef.current = null;
+        if (drawingLsd) {
+          // Measure the draw, then clear the sheet for the next one
+          const draws = lsd.draws.map((ds) => ds.slice());
+          if (delivered) {
+            draws[delivered.team].push(measureDraw(delivered));
+            delivered.inPlay = false;
+          }
+          const next = rockNum + 1;
+          if (next >= lsdStones * 2) {
+            const res = lastStoneDraw(draws);
+            const coinToss = res.hammer < 0;
+            if (coinToss) res.hammer = rngRef.current() < 0.5 ? 0 : 1;
+            setLsd({ ...res, coinToss });
+            setPhase("lsdResult");
+          } else {
+            setLsd({ draws });
+            setRockNum(next);
+            setCurrentTeam(next % 2);
+            setPhase("aiming");
+            setAimAngle(0);
+            setPower(0);
+          }
+          return;
+        }
+        if (delivered && fgzRef.current) {
+          const guards = enforceFreeGuardZone(
+            rocksRef.current,
+            fgzRef.current,
+            delivered,
+          );
+          if (guards)
+            setNotice({
+              team: delivered.team,
+              stone: rockNum + 1,
+              guards: guards.length,
+              fgzRocks: fgzRef.current.fgzRocks,
+              mode,
+            });
+          fgzRef.current = null;
+        }
         const next = rockNum + 1;
-        if (next >= ROCKS_PER_END) {
-          const res = scoreEnd();
+        if (next >= gameMode.deliveredPerTeam * 2) {
+          const res = scoreEnd(rocksRef.current);
           setEndScoreDisplay(res);
+          setEndLog((prev) => [
+            ...prev,
+            {
+              end: prev.length + 1,
+              hammer,
+              scoringTeam: res.scoringTeam,
+              pts: res.pts,
+              tie: res.tie,
+            },
+          ]);
           setScores((prev) => {
             const n = [prev[0].slice(), prev[1].slice()];
             if (res.scoringTeam >= 0) {
@@ -1099,10 +1098,10 @@ export default function CurlingGame() {
             }
             return n;
           });
-          setPhase("scoring");
+          setPhase("measure");
         } else {
           setRockNum(next);
-          setCurrentTeam(next % 2 === 0 ? 0 : 1);
+          setCurrentTeam((firstTeam + next) % 2);
           setPhase("aiming");
           setAimAngle(0);
           setPower(0);
@@ -1113,7 +1112,18 @@ export default function CurlingGame() {
     };
     animRef.current = requestAnimationFrame(loop);
     return () => cancelAnimationFrame(animRef.current);
-  }, [phase, physicsTick, rockNum, scoreEnd]);
+  }, [
+    phase,
+    rockNum,
+    currentTeam,
+    firstTeam,
+    hammer,
+    gameMode,
+    mode,
+    lsd,
+    drawingLsd,
+    lsdStones,
+  ]);
 
   useEffect(() => {
     if (phase !== "aiming") return;
@@ -1160,53 +1170,74 @@ export default function CurlingGame() {
       H = canvas.height,
       // Hardcoded vertical mode: world +y goes to right (screen +x)
       isV = true;
-    const xRange = WORLD.sheetStart - WORLD.sheetEnd,
-      yRange = WORLD.sheetHalfWidth * 2;
-    const uScale = Math.min(
-      (H * 0.92) / xRange,
-      (W * 0.92) / yRange,
-    );
-    const wcx = (WORLD.sheetStart + WORLD.sheetEnd) / 2;
-    const toS = (wx, wy) => [W / 2 + wy * uScale, H / 2 + (wx - wcx) * uScale];
+    const { uScale, toS } = topDownView(W, H);
     const r2s = (wr) => wr * uScale;
     const T = tune,
       grid = iceGridRef.current;
-    // World +y force → screen delta. Vert: +y → right (screen +x).
-    const fToS = (fy, sc) => [fy * sc, 0];
-
+    // World vector → screen delta. Vert: +y → right (screen +x), +x → down.
+    const vToS = (wx, wy, sc) => [wy * sc, wx * sc];
+    // Force square to a heading (toward +y when heading down the sheet)
+    const fToS = (f, ang, sc) =>
+      vToS(Math.sin(ang) * f, -Math.cos(ang) * f, sc);
+
+    // The heatmap outlives this effect. It is painted in full for a new
+    // grid or when its colours change (overlay toggled, tuning changed);
+    // otherwise each frame repaints only the block of cells the grid
+    // reports changed.
     const buildOverlay = () => {
-      const oc = document.createElement("canvas");
-      oc.width = GRID_COLS;
-      oc.height = GRID_ROWS;
-      const octx = oc.getContext("2d"),
-        id = octx.createImageData(GRID_COLS, GRID_ROWS);
-      for (let c = 0; c < GRID_COLS; c++)
-        for (let r = 0; r < GRID_ROWS; r++) {
-          const cell = grid.cells[c][r],
-            idx = (r * GRID_COLS + c) * 4;
-          const wear = 1 - Math.max(0, Math.min(1, cell.pebbleHeight));
-          const fric = cellFriction(
-            cell,
+      let overlay = overlayRef.current,
+        dirty = grid.takeDirty();
+      if (overlay?.grid !== grid) {
+        const oc = document.createElement("canvas");
+        oc.width = grid.cols;
+        oc.height = grid.rows;
+        const octx = oc.getContext("2d");
+        const id = octx.createImageData(grid.cols, grid.rows);
+        overlay = overlayRef.current = { grid, oc, octx, id };
+      }
+      if (overlay.showOverlay !== showOverlay || overlay.tune !== T) {
+        overlay.showOverlay = showOverlay;
+        overlay.tune = T;
+        dirty = { c0: 0, r0: 0, c1: grid.cols - 1, r1: grid.rows - 1 };
+      }
+      const { oc, octx, id } = overlay;
+      if (!dirty) return oc;
+      const { pebbleHeight, moisture, temperature, slopeX, slopeY } = grid;
+      for (let r = dirty.r0; r <= dirty.r1; r++)
+        for (let c = dirty.c0; c <= dirty.c1; c++) {
+          const i = grid.index(c, r),
+            idx = i * 4;
+          const wear = 1 - Math.max(0, Math.min(1, pebbleHeight[i]));
+          const fric = grid.frictionAt(
+            i,
             T.baseFriction,
             T.pebbleFrictionBonus,
           );
-          const sm = Math.sqrt(cell.slopeX ** 2 + cell.slopeY ** 2);
+          const sm = Math.sqrt(slopeX[i] ** 2 + slopeY[i] ** 2);
           if (showOverlay) {
             const fn = Math.max(0, Math.min(1, (fric - 0.05) / 0.15));
             id.data[idx] = Math.floor(fn * 200 + sm * 8000);
             id.data[idx + 1] = Math.floor((1 - wear) * 140);
             id.data[idx + 2] = Math.floor(
-              cell.moisture * 255 + (cell.temperature < -1 ? 60 : 0),
+              moisture[i] * 255 + (temperature[i] < -1 ? 60 : 0),
             );
             id.data[idx + 3] = 160;
           } else {
             id.data[idx] = Math.floor(wear * 60);
             id.data[idx + 1] = Math.floor(wear * 40);
-            id.data[idx + 2] = Math.floor(cell.moisture * 120);
-            id.data[idx + 3] = Math.floor(wear * 100 + cell.moisture * 80);
+            id.data[idx + 2] = Math.floor(moisture[i] * 120);
+            id.data[idx + 3] = Math.floor(wear * 100 + moisture[i] * 80);
           }
         }
-      octx.putImageData(id, 0, 0);
+      octx.putImageData(
+        id,
+        0,
+        0,
+        dirty.c0,
+        dirty.r0,
+        dirty.c1 - dirty.c0 + 1,
+        dirty.r1 - dirty.r0 + 1,
+      );
       return oc;
     };
 
@@ -1242,6 +1273,8 @@ export default function CurlingGame() {
 
     const draw = () => {
       const th = theme;
+      const alpha = alphaRef.current;
+      const rocks = rocksRef.current.map((r) => interpolateRock(r, alpha));
       ctx.fillStyle = th.canvasBg;
       ctx.fillRect(0, 0, W, H);
       const e = WORLD.sheetHalfWidth,
@@ -1270,20 +1303,23 @@ export default function CurlingGame() {
         // Vertical mode: translate to top-left and rotate
         ctx.translate(sL, sT2 + sH);
         ctx.rotate(-PI / 2);
-        ctx.drawImage(oImg, 0, 0, GRID_COLS, GRID_ROWS, 0, 0, sH, sW);
+        ctx.drawImage(oImg, 0, 0, grid.cols, grid.rows, 0, 0, sH, sW);
         ctx.restore();
       }
       if (showOverlay) {
+        // One arrow every third default-size cell, whatever the resolution
         for (let c = 0; c < GRID_COLS; c += 3)
           for (let r = 0; r < GRID_ROWS; r += 3) {
-            const cell = grid.cells[c][r];
-            const mag = Math.sqrt(cell.slopeX ** 2 + cell.slopeY ** 2);
-            if (mag < 0.0003) continue;
             const wx = GRID_X_MIN + (c + 0.5) * CELL_W,
               wy = GRID_Y_MIN + (r + 0.5) * CELL_H;
+            const i = grid.index(...grid.toGrid(wx, wy));
+            const sX = grid.slopeX[i],
+              sY = grid.slopeY[i];
+            const mag = Math.sqrt(sX ** 2 + sY ** 2);
+            if (mag < 0.0003) continue;
             const [sx, sy] = toS(wx, wy);
             const len = Math.min(12, mag * 3000);
-            const ang = Math.atan2(cell.slopeY, cell.slopeX);
+            const ang = Math.atan2(sY, sX);
             // Vertical mode: -ang + PI/2
             const sa = -ang + PI / 2;
             const ex = sx + Math.cos(sa) * len,
@@ -1369,7 +1405,7 @@ export default function CurlingGame() {
       ctx.fillRect(hkx - hs * 2, hky - hs / 2, hs * 4, hs);
 
       const tcA = th.teams;
-      for (const rock of rocksRef.current) {
+      for (const rock of rocks) {
         if (!rock.inPlay) continue;
         const [rx, ry] = toS(rock.x, rock.y);
         const rr = r2s(ROCK_RADIUS) * 1.05;
@@ -1415,13 +1451,21 @@ export default function CurlingGame() {
         if (showDebug && rock.velocity > 0.02) {
           const d = rock.dbg,
             sc = 10;
-          const [scX, scY] = fToS(d.spinCurl, sc),
-            [gdX, gdY] = fToS(d.gradDrift, sc),
-            [slX, slY] = fToS(d.slopeY, sc);
+          const [scX, scY] = fToS(d.spinCurl, rock.angle, sc),
+            [gdX, gdY] = fToS(d.gradDrift, rock.angle, sc),
+            [slX, slY] = vToS(0, d.slopeY, sc);
           const net = d.spinCurl + d.gradDrift + d.slopeY;
-          const [nX, nY] = fToS(net, sc);
+          const nX = scX + gdX + slX,
+            nY = scY + gdY + slY;
           const bx = rx,
             by = ry - rr - 3;
+          // Direction of travel, scaled by speed
+          const [hX, hY] = vToS(
+            Math.cos(rock.angle) * rock.velocity,
+            Math.sin(rock.angle) * rock.velocity,
+            sc,
+          );
+          drawArrow(rx, ry, hX, hY, "#66ff66", "hdg");
           drawArrow(bx, by, scX, scY, "#00ffff", "sc:" + d.spinCurl.toFixed(2));
           drawArrow(
             bx,
@@ -1444,8 +1488,8 @@ export default function CurlingGame() {
           ctx.textAlign = "center";
           ctx.fillStyle = "#aaddaa";
           ctx.fillText(
-            "spin=" +
-              (d.spin > 0 ? "+1" : "-1") +
+            "\u03C9=" +
+              d.omega.toFixed(2) +
               " v=" +
               d.v.toFixed(2) +
               " vF=" +
@@ -1474,7 +1518,7 @@ export default function CurlingGame() {
       }
 
       for (let t = 0; t < 2; t++) {
-        const rem = rocksRef.current.filter(
+        const rem = rocks.filter(
           (r) => r.team === t && !r.inPlay && r.x >= 200,
         ).length;
         for (let i = 0; i < rem; i++) {
@@ -1516,45 +1560,76 @@ export default function CurlingGame() {
         ctx.stroke();
       }
 
-      if (
-        phase === "running" &&
-        deliveryRockRef.current?.inPlay &&
-        sweepingRef.current
-      ) {
-        const dr = deliveryRockRef.current;
-        const [sx2, sy2] = toS(dr.x, dr.y);
-        if (th.sweepCorridor) {
-          // WinCurl-style cyan sweep corridor ahead of rock
-          const [hx2, hy2] = toS(WORLD.houseCenter.x, 0);
-          const rr2 = r2s(ROCK_RADIUS);
-          const corridorW = r2s(20);
-          ctx.save();
-          ctx.globalAlpha = 0.25;
-          ctx.fillStyle = "#00e8e8";
-          ctx.beginPath();
-          ctx.moveTo(sx2, sy2 - corridorW);
-          ctx.lineTo(hx2, hy2 - corridorW * 2.5);
-          ctx.lineTo(hx2, hy2 + corridorW * 2.5);
-          ctx.lineTo(sx2, sy2 + corridorW);
-          ctx.closePath();
-          ctx.fill();
-          ctx.restore();
-          ctx.fillStyle = "#00e8e8";
-          ctx.font = "bold 8px sans-serif";
-          ctx.textAlign = "center";
-          ctx.fillText("SWEEP", sx2, sy2 - rr2 - 6);
-          ctx.textAlign = "start";
-        } else {
-          ctx.fillStyle = "rgba(255,255,255,0.6)";
-          ctx.font = "bold 10px monospace";
-          ctx.textAlign = "center";
-          ctx.fillText(
-            "\uD83E\uDDF9",
-            sx2,
-            sy2 - r2s(ROCK_RADIUS) - (showDebug ? 38 : 6),
-          );
-          ctx.textAlign = "start";
+      // Each team's sweeping at the stone it is sweeping: the delivering
+      // team's meters on the right, the opposition's on the left
+      [0, 1].forEach((t) => {
+        const sr = interpolateRock(sweepTargetsRef.current[t], alpha);
+        if (phase !== "running" || !sr?.inPlay) return;
+        const sweeper = sweepersRef.current[t],
+          side = t === currentTeam ? 1 : -1;
+        const [sx2, sy2] = toS(sr.x, sr.y);
+        if (sweeper.effort > 0.05) {
+          if (th.sweepCorridor) {
+            // WinCurl-style cyan sweep corridor ahead of rock
+            const [hx2, hy2] = toS(WORLD.houseCenter.x, 0);
+            const rr2 = r2s(ROCK_RADIUS);
+            const corridorW = r2s(20);
+            ctx.save();
+            ctx.globalAlpha = 0.25 * sweeper.effort;
+            ctx.fillStyle = "#00e8e8";
+            ctx.beginPath();
+            ctx.moveTo(sx2, sy2 - corridorW);
+            ctx.lineTo(hx2, hy2 - corridorW * 2.5);
+            ctx.lineTo(hx2, hy2 + corridorW * 2.5);
+            ctx.lineTo(sx2, sy2 + corridorW);
+            ctx.closePath();
+            ctx.fill();
+            ctx.restore();
+            ctx.fillStyle = "#00e8e8";
+            ctx.font = "bold 8px sans-serif";
+            ctx.textAlign = "center";
+            ctx.fillText("SWEEP", sx2, sy2 - rr2 - 6);
+            ctx.textAlign = "start";
+          } else {
+            ctx.fillStyle = "rgba(255,255,255,0.6)";
+            ctx.font = "bold 10px monospace";
+            ctx.textAlign = "center";
+            ctx.fillText(
+              "\uD83E\uDDF9",
+              sx2,
+              sy2 - r2s(ROCK_RADIUS) - (showDebug ? 38 : 6),
+            );
+            ctx.textAlign = "start";
+          }
         }
+        // Sweeping effort (cyan) and sweeper fatigue (orange) meters
+        const mh = r2s(ROCK_RADIUS) * 3,
+          mx = sx2 + side * (r2s(ROCK_RADIUS) + 5) - (side < 0 ? 7 : 0),
+          my = sy2 + mh / 2;
+        [
+          [sweeper.effort, "#00e8e8"],
+          [sweeper.fatigue, "#f09030"],
+        ].forEach(([v, col], i) => {
+          ctx.fillStyle = "rgba(7,11,20,0.35)";
+          ctx.fillRect(mx + i * 4, my - mh, 3, mh);
+          ctx.fillStyle = col;
+          ctx.fillRect(mx + i * 4, my - mh * v, 3, mh * v);
+        });
+      });
+
+      // Ice maker brush, and its reflection when painting symmetrically
+      const cursor = makerCursorRef.current;
+      if (editing && cursor) {
+        ctx.strokeStyle = "#f0c830";
+        ctx.lineWidth = 1;
+        (maker.mirror ? [1, -1] : [1]).forEach((side, i) => {
+          const [bx, by] = toS(cursor.x, cursor.y * side);
+          ctx.setLineDash(i ? [3, 3] : []);
+          ctx.beginPath();
+          ctx.arc(bx, by, r2s(maker.radius), 0, PI * 2);
+          ctx.stroke();
+        });
+        ctx.setLineDash([]);
       }
 
       if (showOverlay) {
@@ -1591,23 +1666,35 @@ export default function CurlingGame() {
         ctx.fillText("arrow len = force magnitude", lx + 4, ly + 52);
       }
 
-      // Render perspective view
-      drawPerspective(
-        perspCtx,
-        perspDims.w,
-        perspDims.h,
-        {
+      // Render perspective view; once the end is over, the house close up
+      // with the measure
+      if ((phase === "measure" || phase === "scoring") && endScoreDisplay)
+        drawHouseZoom(perspCtx, perspDims.w, perspDims.h, {
           WORLD,
           ROCK_RADIUS,
-          rocks: rocksRef.current,
-          deliveryRock: deliveryRockRef.current,
-          sweeping: sweepingRef.current,
-          phase,
-          aimAngle,
-          currentTeam,
+          rocks,
           theme: th,
-        },
-      );
+          measure: endScoreDisplay,
+        });
+      else
+        drawPerspective(
+          perspCtx,
+          perspDims.w,
+          perspDims.h,
+          {
+            WORLD,
+            ROCK_RADIUS,
+            rocks,
+            sweeps: [0, 1].map((t) => ({
+              rock: interpolateRock(sweepTargetsRef.current[t], alpha),
+              effort: sweepersRef.current[t].effort,
+            })),
+            phase,
+            aimAngle,
+            currentTeam,
+            theme: th,
+          },
+        );
 
       raf = requestAnimationFrame(draw);
     };
@@ -1621,18 +1708,55 @@ export default function CurlingGame() {
     showDebug,
     tune,
     theme,
+    endScoreDisplay,
+    editing,
+    maker,
   ]);
 
   const handleAction = useCallback(() => {
+    // Taps while the ice maker is open paint the sheet; a game starts once
+    // the maker is closed, so it can't throw the painting away
+    if (editing) return;
     if (phase === "title") {
-      initIce(iceProfile);
-      initEnd();
-      setPhase("aiming");
+      // Ice and stones draw from separate streams of the session seed, so
+      // the sheet is the same however many rocks are thrown.
+      const rng = createRng(seed);
+      const iceRng = forkRng(rng),
+        sheet = iceFile
+          ? `file:${iceFile.name}`
+          : `${iceProfile}:${seed}:${iceResolution}`;
+      // With an ice crew, a new game on the same sheet keeps its ice and
+      // the crew does a full scrape, re-pebble and nip
+      if (crewPlan !== "none" && sheetRef.current === sheet)
+        maintainIce(iceGridRef.current, "full", {
+          quality: crewQuality,
+          rng: crewRngRef.current,
+        });
+      else if (iceFile) iceGridRef.current = importIce(iceFile.data);
+      else initIce(iceProfile, iceRng, iceResolution);
+      sheetRef.current = sheet;
+      rngRef.current = forkRng(rng);
+      crewRngRef.current = forkRng(rng);
+      initEnd(gameMode.rocksPerTeam);
+      setHammer(1);
       setCurrentTeam(0);
+      setPowerPlayUsed([false, false]);
+      setPlacementTeam(0);
       setRockNum(0);
       setScores([[], []]);
+      setEndLog([]);
+      setResult(null);
+      if (lsdStones) {
+        // Team 0 draws first; the end starts once the draw has decided hammer
+        setLsd({ draws: [[], []] });
+        setPhase("aiming");
+      } else {
+        setLsd(null);
+        setPhase(gameMode.noRemovalStones ? "placement" : "aiming");
+      }
       setCurrentEnd(1);
       setEndScoreDisplay(null);
+      setNotice(null);
       return;
     }
     if (phase === "aiming") {
@@ -1642,28 +1766,66 @@ export default function CurlingGame() {
     if (phase === "power") {
       deliverRock();
       setPhase("running");
-      sweepingRef.current = false;
+      sweepersRef.current = [createSweeper(), createSweeper()];
+      setSweepSide(0);
       return;
     }
     if (phase === "running") {
-      sweepingRef.current = !sweepingRef.current;
+      addStroke(sweepersRef.current[currentTeam]);
+      return;
+    }
+    if (phase === "lsdResult") {
+      // The winner of the draw has hammer, or in mixed doubles the choice
+      // of positioned stones
+      initEnd(gameMode.rocksPerTeam);
+      setRockNum(0);
+      setAimAngle(0);
+      setPower(0);
+      if (gameMode.noRemovalStones) {
+        setPlacementTeam(lsd.hammer);
+        setPhase("placement");
+      } else {
+        setHammer(lsd.hammer);
+        setCurrentTeam(1 - lsd.hammer);
+        setPhase("aiming");
+      }
+      return;
+    }
+    if (phase === "measure") {
+      setPhase("scoring");
       return;
     }
     if (phase === "scoring") {
-      if (currentEnd >= totalEnds) setPhase("gameover");
-      else {
+      const over = gameResult(scores, totalEnds);
+      if (over) {
+        setResult(over);
+        setPhase("gameover");
+      } else {
         setCurrentEnd((e) => e + 1);
-        const nf =
-          endScoreDisplay?.scoringTeam >= 0
-            ? endScoreDisplay.scoringTeam
-            : currentTeam;
-        setCurrentTeam(nf);
         setRockNum(0);
         setAimAngle(0);
         setPower(0);
         setEndScoreDisplay(null);
-        initEnd();
-        setPhase("aiming");
+        setNotice(null);
+        initEnd(gameMode.rocksPerTeam);
+        if (crewPlan !== "none" && currentEnd % crewEvery === 0)
+          maintainIce(iceGridRef.current, crewPlan, {
+            quality: crewQuality,
+            rng: crewRngRef.current,
+          });
+        const prevEnd = {
+          scoringTeam: endScoreDisplay?.scoringTeam ?? -1,
+          firstTeam,
+        };
+        if (gameMode.noRemovalStones) {
+          setPlacementTeam(placementDecisionTeam(prevEnd));
+          setPhase("placement");
+        } else {
+          const h = nextHammer(hammer, prevEnd.scoringTeam);
+          setHammer(h);
+          setCurrentTeam(1 - h);
+          setPhase("aiming");
+        }
       }
       return;
     }
@@ -1675,14 +1837,35 @@ export default function CurlingGame() {
     phase,
     initIce,
     iceProfile,
+    iceResolution,
+    iceFile,
+    seed,
     initEnd,
     deliverRock,
     currentEnd,
     totalEnds,
+    scores,
     endScoreDisplay,
     currentTeam,
+    firstTeam,
+    hammer,
+    gameMode,
+    lsd,
+    lsdStones,
+    crewPlan,
+    crewEvery,
+    crewQuality,
+    editing,
   ]);
 
+  // The team to deliver concedes: the game ends at once and the end in
+  // progress isn't scored.
+  const concede = useCallback(() => {
+    setResult(concedeGame(currentTeam, currentEnd));
+    setNotice(null);
+    setPhase("gameover");
+  }, [currentTeam, currentEnd]);
+
   const totalScore = (t) => scores[t].reduce((a, b) => a + b, 0);
   const tn = (t) => theme.teams[t].name;
   const tCol = (t) => theme.teams[t].f;
@@ -1724,7 +1907,7 @@ export default function CurlingGame() {
     return () => window.removeEventListener("resize", resize);
   }, [isNarrowLayout]);
 
-  const rockLabel = `${Math.floor(rockNum / 2) + 1}/${ROCKS_PER_TEAM}`;
+  const rockLabel = `${Math.floor(rockNum / 2) + 1}/${gameMode.deliveredPerTeam}`;
   const btn = {
     background: theme.btnBg,
     border: theme.btnBorder,
@@ -1736,6 +1919,15 @@ export default function CurlingGame() {
     cursor: "pointer",
     fontFamily: "inherit",
   };
+  const panelRow = {
+    display: "flex",
+    alignItems: "center",
+    gap: 4,
+    fontSize: 8,
+    color: theme.dimText,
+  };
+  const pick = (on) => ({ ...btn, color: on ? "#f0c830" : theme.btnColor });
+  const makerTool = ICE_MAKER_TOOLS[maker.tool];
 
   return (
     <div
@@ -1792,7 +1984,25 @@ export default function CurlingGame() {
         >
           {phase !== "title" && phase !== "gameover" && (
             <span style={{ fontSize: 9 }}>
-              E<b>{currentEnd}</b> R<b>{rockLabel}</b>
+              {drawingLsd ? (
+                <>
+                  LSD <b>{rockNum + 1}</b>/{lsdStones * 2}
+                </>
+              ) : currentEnd > totalEnds ? (
+                <>
+                  Extra end <b>{currentEnd - totalEnds}</b>
+                </>
+              ) : (
+                <>
+                  E<b>{currentEnd}</b>
+                </>
+              )}{" "}
+              {!drawingLsd && (
+                <>
+                  R<b>{rockLabel}</b>{" "}
+                </>
+              )}
+              <span style={{ color: theme.dimText }}>#{seed}</span>
             </span>
           )}
           <button
@@ -1807,6 +2017,15 @@ export default function CurlingGame() {
           >
             🐛
           </button>
+          {phase === "title" && (
+            <button
+              onClick={() => (editing ? setEditing(false) : openIceMaker())}
+              style={pick(editing)}
+              title="Ice maker"
+            >
+              🖌
+            </button>
+          )}
           <button onClick={() => setShowProfilePicker((v) => !v)} style={btn}>
             ⚙
           </button>
@@ -1827,6 +2046,134 @@ export default function CurlingGame() {
         </div>
       </div>
 
+      {editing && (
+        <div
+          style={{
+            display: "flex",
+            gap: 8,
+            marginBottom: 4,
+            flexWrap: "wrap",
+            width: "100%",
+            maxWidth: isNarrowLayout ? dims.w : dims.w + perspDims.w + 8,
+          }}
+        >
+          <div style={panelRow}>
+            Brush
+            {Object.entries(ICE_MAKER_TOOLS).map(([k, t]) => (
+              <button
+                key={k}
+                onClick={() =>
+                  setMaker((prev) => ({ ...prev, tool: k, value: t.values[1] }))
+                }
+                style={pick(maker.tool === k)}
+                title={t.desc}
+              >
+                {t.name}
+              </button>
+            ))}
+          </div>
+          <div style={panelRow}>
+            {maker.tool === "slope" ? "Grade" : "Value"}
+            {makerTool.values.map((v) => (
+              <button
+                key={v}
+                onClick={() => setM("value", v)}
+                style={pick(maker.value === v)}
+              >
+                {v}
+              </button>
+            ))}
+          </div>
+          {maker.tool === "slope" && (
+            <div style={panelRow}>
+              Falls
+              {[
+                [PI, "↑"],
+                [0, "↓"],
+                [-PI / 2, "←"],
+                [PI / 2, "→"],
+              ].map(([d, label]) => (
+                <button
+                  key={label}
+                  onClick={() => setM("direction", d)}
+                  style={pick(maker.direction === d)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+          <div style={panelRow}>
+            Size
+            {[10, 20, 40].map((r) => (
+              <button
+                key={r}
+                onClick={() => setM("radius", r)}
+                style={pick(maker.radius === r)}
+              >
+                {r}
+              </button>
+            ))}
+          </div>
+          <div style={panelRow}>
+            Strength
+            {[0.2, 0.5, 1].map((v) => (
+              <button
+                key={v}
+                onClick={() => setM("strength", v)}
+                style={pick(maker.strength === v)}
+              >
+                {v}
+              </button>
+            ))}
+          </div>
+          <div style={panelRow}>
+            Mirror
+            <button
+              onClick={() => setM("mirror", !maker.mirror)}
+              style={pick(maker.mirror)}
+              title="Paint both sides of the centre line"
+            >
+              {maker.mirror ? "On" : "Off"}
+            </button>
+          </div>
+          <div style={panelRow}>
+            <button
+              onClick={() => stepHistory(undoIce)}
+              disabled={!strokes.undo}
+              style={btn}
+            >
+              ↶ Undo
+            </button>
+            <button
+              onClick={() => stepHistory(redoIce)}
+              disabled={!strokes.redo}
+              style={btn}
+            >
+              ↷ Redo
+            </button>
+          </div>
+          <div style={panelRow}>
+            <input
+              value={makerName}
+              onChange={(e) => setMakerName(e.target.value)}
+              style={{
+                ...btn,
+                width: 84,
+                padding: "2px 4px",
+                color: theme.textColor,
+              }}
+            />
+            <button onClick={saveIceProfile} style={btn}>
+              Save profile
+            </button>
+            <button onClick={() => setEditing(false)} style={btn}>
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
       {showProfilePicker && (
         <div
           style={{
@@ -1843,12 +2190,14 @@ export default function CurlingGame() {
               key={k}
               onClick={() => {
                 setIceProfile(k);
+                setIceFile(null);
                 setShowProfilePicker(false);
               }}
               style={{
                 ...btn,
                 padding: "3px 8px",
-                color: iceProfile === k ? "#f0c830" : theme.btnColor,
+                color:
+                  !iceFile && iceProfile === k ? "#f0c830" : theme.btnColor,
               }}
             >
               <div style={{ fontWeight: 700, fontSize: 8 }}>{p.name}</div>
@@ -1857,6 +2206,120 @@ export default function CurlingGame() {
               </div>
             </button>
           ))}
+          <div
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: 4,
+              fontSize: 8,
+              color: theme.dimText,
+            }}
+          >
+            Seed
+            <input
+              type="number"
+              min={1}
+              value={seedText ?? seed}
+              onChange={(e) => setSeedText(e.target.value)}
+              onBlur={commitSeed}
+              onKeyDown={(e) => e.key === "Enter" && commitSeed()}
+              style={{
+                ...btn,
+                width: 84,
+                padding: "2px 4px",
+                color: theme.textColor,
+              }}
+            />
+            <button
+              onClick={() => {
+                setSeed(randomSeed());
+                setSeedText(null);
+              }}
+              style={btn}
+              title="New random seed"
+            >
+              🎲
+            </button>
+            <span style={{ fontSize: 6 }}>applies to next game</span>
+          </div>
+          <div
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: 4,
+              fontSize: 8,
+              color: theme.dimText,
+            }}
+          >
+            Ice file
+            <button
+              onClick={exportSheet}
+              style={btn}
+              title="Save the sheet as it is now"
+            >
+              ⬇ Export
+            </button>
+            <label
+              style={{ ...btn, color: iceFile ? "#f0c830" : theme.btnColor }}
+              title="Play the next game on a saved sheet"
+            >
+              ⬆ Import
+              <input
+                type="file"
+                accept=".json,application/json"
+                onChange={importSheet}
+                style={{ display: "none" }}
+              />
+            </label>
+            {iceFileError && (
+              <span style={{ fontSize: 6, color: "#e05050" }}>
+                {iceFileError}
+              </span>
+            )}
+          </div>
+          <div style={panelRow}>
+            Profile pack
+            <label style={btn} title="Add the profiles in a profile pack">
+              ⬆ Load
+              <input
+                type="file"
+                accept=".json,application/json"
+                onChange={importProfiles}
+                style={{ display: "none" }}
+              />
+            </label>
+            {packError && (
+              <span style={{ fontSize: 6, color: "#e05050" }}>{packError}</span>
+            )}
+          </div>
+          <div
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: 4,
+              fontSize: 8,
+              color: theme.dimText,
+            }}
+          >
+            Free guard zone
+            {[
+              [0, "Off"],
+              [4, "4-rock"],
+              [5, "5-rock"],
+            ].map(([n, label]) => (
+              <button
+                key={n}
+                onClick={() => setFgzRocks(n)}
+                style={{
+                  ...btn,
+                  padding: "2px 6px",
+                  color: fgzRocks === n ? "#f0c830" : theme.btnColor,
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
         </div>
       )}
 
@@ -1980,6 +2443,51 @@ export default function CurlingGame() {
               theme={theme}
               onChange={(v) => setT("sweepBoost", v)}
             />
+            <Slider
+              label="Sweep Straighten"
+              value={tune.sweepStraighten}
+              min={0}
+              max={1}
+              step={0.05}
+              theme={theme}
+              onChange={(v) => setT("sweepStraighten", v)}
+            />
+            <Slider
+              label="Sweep Steer"
+              value={tune.sweepSteer}
+              min={0}
+              max={0.2}
+              step={0.01}
+              theme={theme}
+              onChange={(v) => setT("sweepSteer", v)}
+            />
+            <Slider
+              label="Restitution"
+              value={tune.restitution}
+              min={0.5}
+              max={1}
+              step={0.01}
+              theme={theme}
+              onChange={(v) => setT("restitution", v)}
+            />
+            <Slider
+              label="Spin Decay"
+              value={tune.spinDecay}
+              min={0}
+              max={1}
+              step={0.05}
+              theme={theme}
+              onChange={(v) => setT("spinDecay", v)}
+            />
+            <Slider
+              label="Stone Fric"
+              value={tune.stoneFriction}
+              min={0}
+              max={0.5}
+              step={0.01}
+              theme={theme}
+              onChange={(v) => setT("stoneFriction", v)}
+            />
           </div>
         </div>
       )}
@@ -2027,15 +2535,34 @@ export default function CurlingGame() {
               />
               <span style={{ fontWeight: 700, marginRight: 6, fontSize: 9 }}>
                 {tn(t)}
+                {hammer === t &&
+                  !drawingLsd &&
+                  !["title", "placement", "lsdResult"].includes(phase) && (
+                    <span title="Hammer (last stone this end)"> 🔨</span>
+                  )}
               </span>
               <div style={{ display: "flex", gap: 2, flexWrap: "wrap" }}>
                 {scores[t].map((s, i) => (
                   <span
                     key={i}
+                    title={
+                      i >= totalEnds
+                        ? `Extra end ${i - totalEnds + 1}`
+                        : `End ${i + 1}`
+                    }
                     style={{
                       background: theme.btnBg,
                       padding: "0 3px",
                       borderRadius: 2,
+                      // Extra ends are outlined, after a gap
+                      outline:
+                        i >= totalEnds ? `1px dashed ${theme.dimText}` : "none",
+                      marginLeft: i === totalEnds ? 4 : 0,
+                      // Underlined: this team had hammer in that end
+                      borderBottom:
+                        endLog[i]?.hammer === t
+                          ? `1px solid ${tCol(t)}`
+                          : "1px solid transparent",
                       fontWeight: s > 0 ? 700 : 400,
                       color: s > 0 ? tCol(t) : theme.dimText,
                       fontSize: 8,
@@ -2087,9 +2614,17 @@ export default function CurlingGame() {
             width={dims.w}
             height={dims.h}
             onClick={handleAction}
+            onPointerDown={editing ? startStroke : undefined}
+            onPointerMove={editing ? paintAt : undefined}
+            onPointerUp={() => (paintingRef.current = false)}
+            onPointerLeave={() => {
+              paintingRef.current = false;
+              makerCursorRef.current = null;
+            }}
             style={{
               borderRadius: theme.btnRadius + 5,
-              cursor: "pointer",
+              cursor: editing ? "crosshair" : "pointer",
+              touchAction: editing ? "none" : "auto",
               border: theme.canvasBorder,
               display: "block",
               width: isNarrowLayout ? "auto" : "100%",
@@ -2114,7 +2649,7 @@ export default function CurlingGame() {
             onClick={handleAction}
             style={{
               borderRadius: theme.btnRadius + 5,
-              cursor: "pointer",
+              cursor: editing ? "default" : "pointer",
               border: theme.canvasBorder,
               display: "block",
               width: "100%",
@@ -2122,7 +2657,7 @@ export default function CurlingGame() {
           />
         </div>
 
-        {phase === "title" && (
+        {phase === "title" && !editing && (
           <div
             style={{
               position: "absolute",
@@ -2157,13 +2692,152 @@ export default function CurlingGame() {
               {themeName === "wincurl" ? "WinCurl 2.0" : "CURLING"}
             </div>
             <div
-              style={{ fontSize: 8, color: theme.dimText, marginBottom: 12 }}
+              style={{ fontSize: 8, color: theme.dimText, marginBottom: 4 }}
             >
               Ice:{" "}
               <b style={{ color: theme.accentText }}>
-                {ICE_PROFILES[iceProfile].name}
+                {iceFile ? iceFile.name : ICE_PROFILES[iceProfile].name}
               </b>{" "}
-              — {ICE_PROFILES[iceProfile].desc}
+              — {iceFile ? "loaded ice file" : ICE_PROFILES[iceProfile].desc}
+            </div>
+            <div style={{ display: "flex", gap: 4, marginBottom: 4 }}>
+              {Object.entries(GAME_MODES).map(([k, m]) => (
+                <button
+                  key={k}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setMode(k);
+                  }}
+                  title={m.desc}
+                  style={{
+                    ...btn,
+                    fontSize: 8,
+                    color: mode === k ? "#f0c830" : theme.btnColor,
+                  }}
+                >
+                  {m.name}
+                </button>
+              ))}
+            </div>
+            {[
+              ["Ends", END_OPTIONS.map((n) => [n, n]), totalEnds, setTotalEnds],
+              // Mixed doubles always plays six stones a team
+              !gameMode.noRemovalStones && [
+                "Stones per team",
+                ROCKS_PER_TEAM_OPTIONS.map((n) => [n, n]),
+                rocksPerTeam,
+                setRocksPerTeam,
+              ],
+              [
+                "Brush",
+                Object.entries(BRUSHES).map(([k, b]) => [k, b.name]),
+                brush,
+                setBrush,
+              ],
+              [
+                "Ice crew",
+                Object.entries(MAINTENANCE_PLANS).map(([k, p]) => [k, p.name]),
+                crewPlan,
+                setCrewPlan,
+              ],
+              crewPlan !== "none" && [
+                "Crew every",
+                [
+                  [1, "End"],
+                  [2, "2 ends"],
+                  [4, "4 ends"],
+                ],
+                crewEvery,
+                setCrewEvery,
+              ],
+              crewPlan !== "none" && [
+                "Crew quality",
+                [
+                  [0.5, "Club"],
+                  [0.8, "Pro"],
+                  [1, "Elite"],
+                ],
+                crewQuality,
+                setCrewQuality,
+              ],
+              [
+                "Ice grid",
+                Object.entries(GRID_RESOLUTIONS).map(([k, r]) => [k, r.name]),
+                iceResolution,
+                setIceResolution,
+              ],
+              [
+                "Concessions",
+                [
+                  [false, "Off"],
+                  [true, "Allowed"],
+                ],
+                concessions,
+                setConcessions,
+              ],
+              [
+                "Last Stone Draw",
+                [
+                  [0, "Off"],
+                  [1, "1 each"],
+                  [2, "2 each"],
+                ],
+                lsdStones,
+                setLsdStones,
+              ],
+            ]
+              .filter(Boolean)
+              .map(([title, options, value, set]) => (
+                <div
+                  key={title}
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    gap: 4,
+                    marginBottom: 4,
+                    fontSize: 8,
+                    color: theme.dimText,
+                  }}
+                >
+                  {title}
+                  {options.map(([v, label]) => (
+                    <button
+                      key={label}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        set(v);
+                      }}
+                      style={{
+                        ...btn,
+                        fontSize: 8,
+                        color: value === v ? "#f0c830" : theme.btnColor,
+                      }}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              ))}
+            <div
+              style={{ fontSize: 7, color: theme.dimText, marginBottom: 12 }}
+            >
+              Seed <b style={{ color: theme.accentText }}>{seed}</b>
+              {" · "}
+              {gameMode.noRemovalStones ? (
+                <>
+                  No stone removed before stone{" "}
+                  <b style={{ color: theme.accentText }}>
+                    {gameMode.noRemovalStones + 1}
+                  </b>
+                </>
+              ) : (
+                <>
+                  Free guard zone{" "}
+                  <b style={{ color: theme.accentText }}>
+                    {fgzRocks ? `${fgzRocks}-rock rule` : "off"}
+                  </b>
+                </>
+              )}
             </div>
             <div
               style={{
@@ -2183,6 +2857,127 @@ export default function CurlingGame() {
           </div>
         )}
 
+        {phase === "lsdResult" && lsd && (
+          <div
+            style={{
+              position: "absolute",
+              inset: 0,
+              display: "flex",
+              flexDirection: "column",
+              alignItems: "center",
+              justifyContent: "center",
+              background: theme.overlayBg,
+              borderRadius: theme.btnRadius + 5,
+              cursor: "pointer",
+            }}
+            onClick={handleAction}
+          >
+            <div
+              style={{ fontSize: 12, color: theme.dimText, marginBottom: 6 }}
+            >
+              Last Stone Draw
+            </div>
+            <div style={{ display: "flex", gap: 20, marginBottom: 10 }}>
+              {[0, 1].map((t) => (
+                <div key={t} style={{ textAlign: "center", fontSize: 9 }}>
+                  <div style={{ fontWeight: 700, color: tCol(t) }}>{tn(t)}</div>
+                  {lsd.draws[t].map((d, i) => (
+                    <div key={i} style={{ color: theme.dimText }}>
+                      {d >= LSD_MISS ? "miss" : d.toFixed(1)}
+                    </div>
+                  ))}
+                  <div style={{ fontWeight: 800, color: tCol(t) }}>
+                    {lsd.totals[t].toFixed(1)}
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div
+              style={{ fontSize: 14, fontWeight: 700, color: tCol(lsd.hammer) }}
+            >
+              {tn(lsd.hammer)}{" "}
+              {gameMode.noRemovalStones
+                ? "chooses the positioned stones"
+                : "has hammer"}
+            </div>
+            {lsd.coinToss && (
+              <div style={{ fontSize: 9, color: theme.dimText }}>
+                Draws tied — decided by coin toss
+              </div>
+            )}
+            <div style={{ marginTop: 10, fontSize: 9, color: theme.dimText }}>
+              Tap to start end 1
+            </div>
+          </div>
+        )}
+
+        {phase === "placement" && (
+          <div
+            style={{
+              position: "absolute",
+              inset: 0,
+              display: "flex",
+              flexDirection: "column",
+              alignItems: "center",
+              justifyContent: "center",
+              background: theme.overlayBg,
+              borderRadius: theme.btnRadius + 5,
+            }}
+          >
+            <div
+              style={{ fontSize: 12, color: theme.dimText, marginBottom: 4 }}
+            >
+              End {currentEnd} · positioned stones
+            </div>
+            <div
+              style={{
+                fontSize: 14,
+                fontWeight: 700,
+                color: tCol(placementTeam),
+                marginBottom: 10,
+              }}
+            >
+              {tn(placementTeam)} chooses
+            </div>
+            <div
+              style={{
+                display: "flex",
+                flexDirection: "column",
+                gap: 5,
+                alignItems: "stretch",
+              }}
+            >
+              <button
+                onClick={() => placeStones(placementTeam)}
+                style={{ ...btn, padding: "4px 10px" }}
+              >
+                House stone — deliver last
+              </button>
+              <button
+                onClick={() => placeStones(1 - placementTeam)}
+                style={{ ...btn, padding: "4px 10px" }}
+              >
+                Guard — deliver first
+              </button>
+              {/* No power play in an extra end */}
+              {!powerPlayUsed[placementTeam] &&
+                currentEnd <= totalEnds &&
+                [
+                  [-1, "left"],
+                  [1, "right"],
+                ].map(([side, label]) => (
+                  <button
+                    key={side}
+                    onClick={() => placeStones(placementTeam, side)}
+                    style={{ ...btn, padding: "4px 10px", color: "#f0c830" }}
+                  >
+                    Power play {label} — house stone, deliver last
+                  </button>
+                ))}
+            </div>
+          </div>
+        )}
+
         {phase === "scoring" && endScoreDisplay && (
           <div
             style={{
@@ -2218,6 +3013,11 @@ export default function CurlingGame() {
                 style={{ fontSize: 16, fontWeight: 700, color: theme.dimText }}
               >
                 Blank end
+                {endScoreDisplay.tie && (
+                  <div style={{ fontSize: 9, fontWeight: 400 }}>
+                    Shot stones tied on the measure
+                  </div>
+                )}
               </div>
             )}
             <div style={{ marginTop: 10, fontSize: 9, color: theme.dimText }}>
@@ -2226,7 +3026,7 @@ export default function CurlingGame() {
           </div>
         )}
 
-        {phase === "gameover" && (
+        {phase === "gameover" && result && (
           <div
             style={{
               position: "absolute",
@@ -2264,20 +3064,21 @@ export default function CurlingGame() {
               style={{
                 fontSize: 16,
                 fontWeight: 800,
-                color:
-                  totalScore(0) > totalScore(1)
-                    ? tCol(0)
-                    : totalScore(1) > totalScore(0)
-                      ? tCol(1)
-                      : theme.dimText,
+                color: tCol(result.winner),
               }}
             >
-              {totalScore(0) > totalScore(1)
-                ? "Yellow Wins!"
-                : totalScore(1) > totalScore(0)
-                  ? "Red Wins!"
-                  : "Draw!"}
+              {tn(result.winner)} Wins!
             </div>
+            {result.concededBy >= 0 && (
+              <div style={{ fontSize: 9, color: theme.dimText, marginTop: 2 }}>
+                {tn(result.concededBy)} conceded during end {result.end}
+              </div>
+            )}
+            {result.concededBy < 0 && scores[0].length > totalEnds && (
+              <div style={{ fontSize: 9, color: theme.dimText, marginTop: 2 }}>
+                Decided in extra end {scores[0].length - totalEnds}
+              </div>
+            )}
             <div style={{ marginTop: 10, fontSize: 9, color: theme.dimText }}>
               Tap to play again
             </div>
@@ -2371,19 +3172,51 @@ export default function CurlingGame() {
             {curlDir > 0 ? "↻ CW (right)" : "↺ CCW (left)"}
           </button>
         )}
-        {phase === "running" && (
-          <div
-            style={{
-              fontSize: 9,
-              color: sweepingRef.current ? theme.accentText : theme.dimText,
-              fontWeight: sweepingRef.current ? 700 : 400,
+        {concessions && phase === "aiming" && !drawingLsd && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              concede();
             }}
+            title={`${tn(currentTeam)} concedes the game`}
+            style={{ ...btn, marginLeft: "auto", color: theme.dimText }}
           >
-            {sweepingRef.current
-              ? (theme.sweepEmoji ? "🧹 " : "") + "SWEEPING"
-              : "Tap to sweep"}
+            Concede
+          </button>
+        )}
+        {phase === "running" && (
+          <div style={{ fontSize: 9, color: theme.accentText }}>
+            {(theme.sweepEmoji ? "🧹 " : "") + "Tap fast to sweep hard"}
           </div>
         )}
+        {phase === "running" && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              setSweepSide((s) => (s === 1 ? -1 : s + 1));
+            }}
+            title="Directional sweeping: work one side of the stone to steer it that way"
+            style={{ ...btn, color: theme.textColor }}
+          >
+            {sweepSide < 0
+              ? "◀ Sweep left"
+              : sweepSide > 0
+                ? "Sweep right ▶"
+                : "Sweep ahead"}
+          </button>
+        )}
+        {phase === "running" && !drawingLsd && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              addStroke(sweepersRef.current[1 - currentTeam]);
+            }}
+            title="Either team may sweep a moving stone behind the tee line"
+            style={{ ...btn, marginLeft: "auto", color: tCol(1 - currentTeam) }}
+          >
+            {tn(1 - currentTeam)} sweep out the back
+          </button>
+        )}
       </div>
       <div
         style={{
@@ -2394,10 +3227,78 @@ export default function CurlingGame() {
           maxWidth: 400,
         }}
       >
+        {notice && (
+          <div
+            style={{
+              fontSize: 8,
+              fontWeight: 700,
+              color: theme.accentText,
+              marginBottom: 2,
+            }}
+          >
+            {GAME_MODES[notice.mode].noRemovalStones ? (
+              <>
+                🚫 No-removal violation: {tn(notice.team)}'s stone{" "}
+                {notice.stone} removed{" "}
+                {notice.guards > 1 ? "stones" : "a stone"} before stone{" "}
+                {notice.fgzRocks + 1}.
+              </>
+            ) : (
+              <>
+                🚫 Free guard zone violation: {tn(notice.team)}'s stone{" "}
+                {notice.stone} removed{" "}
+                {notice.guards > 1 ? "guards" : "a guard"} before stone{" "}
+                {notice.fgzRocks + 1}.
+              </>
+            )}{" "}
+            Stones replaced; {tn(notice.team)}'s stone is out of play.
+          </div>
+        )}
+        {phase === "measure" && endScoreDisplay && (
+          <div style={{ fontSize: 8, marginBottom: 2 }}>
+            {endScoreDisplay.stones.length === 0 && "No stones in the house. "}
+            {endScoreDisplay.stones.map((st, i) => (
+              <span
+                key={st.id}
+                style={{
+                  color: st.counts ? tCol(st.team) : theme.dimText,
+                  fontWeight: st.counts ? 700 : 400,
+                  marginRight: 6,
+                  whiteSpace: "nowrap",
+                }}
+              >
+                {i + 1}. {tn(st.team)} {st.dist.toFixed(1)}
+                {st.biter ? " (biter)" : ""} —{" "}
+                {st.reason === "shot"
+                  ? "shot rock"
+                  : st.reason === "counts"
+                    ? "counts"
+                    : st.reason === "tied"
+                      ? "tied, doesn't count"
+                      : "doesn't count"}
+              </span>
+            ))}
+          </div>
+        )}
+        {phase === "measure" && "Tap to count the end"}
+        {drawingLsd && (phase === "aiming" || phase === "power") && (
+          <div style={{ fontSize: 8, marginBottom: 2 }}>
+            Last Stone Draw: draw to the button, shorter total gets hammer.{" "}
+            {[0, 1].map((t) => (
+              <span key={t} style={{ color: tCol(t), marginRight: 6 }}>
+                {tn(t)}{" "}
+                {lsd.draws[t]
+                  .map((d) => (d >= LSD_MISS ? "miss" : d.toFixed(1)))
+                  .join(" + ") || "—"}
+              </span>
+            ))}
+          </div>
+        )}
         {phase === "aiming" &&
           "Tap to lock aim → set power → tap to sweep during delivery"}
         {phase === "power" && "Tap to release"}
-        {phase === "running" && "Tap to toggle sweeping"}
+        {phase === "running" &&
+          "Each tap is a brush stroke: faster taps sweep harder, but sweepers tire. Behind the tee line the other team may sweep too."}
       </div>
     </div>
   );
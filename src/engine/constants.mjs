@@ -0,0 +1,76 @@
+// constants.mjs — World geometry, grid layout and default tuning
+//
+// Coordinate system: x runs negative from the hack toward the house,
+// y is cross-sheet (±sheetHalfWidth). Delivery is in the -x direction.
+
+export const PI = Math.PI;
+export const ROCK_RADIUS = 5;
+export const ROCKS_PER_TEAM = 8;
+export const ROCKS_PER_END = ROCKS_PER_TEAM * 2;
+
+export const WORLD = {
+  sheetHalfWidth: 82,
+  sheetStart: 50,
+  sheetEnd: -680,
+  hogLine: -380,
+  tLine: -540,
+  backLine: -612,
+  hackPos: -100,
+  houseCenter: { x: -540, y: 0 },
+  houseRadii: [6, 24, 48, 72],
+};
+
+export const GRID_COLS = 48,
+  GRID_ROWS = 16;
+export const GRID_X_MIN = WORLD.sheetEnd,
+  GRID_X_MAX = WORLD.sheetStart;
+export const GRID_Y_MIN = -WORLD.sheetHalfWidth,
+  GRID_Y_MAX = WORLD.sheetHalfWidth;
+export const CELL_W = (GRID_X_MAX - GRID_X_MIN) / GRID_COLS;
+export const CELL_H = (GRID_Y_MAX - GRID_Y_MIN) / GRID_ROWS;
+
+// Ice grid resolutions; GRID_COLS × GRID_ROWS is the default
+export const GRID_RESOLUTIONS = {
+  coarse: { name: "Coarse", cols: GRID_COLS, rows: GRID_ROWS },
+  fine: { name: "Fine", cols: GRID_COLS * 2, rows: GRID_ROWS * 2 },
+  track: { name: "Track", cols: GRID_COLS * 4, rows: GRID_ROWS * 4 },
+  pebble: { name: "Pebble", cols: GRID_COLS * 8, rows: GRID_ROWS * 8 },
+};
+export const DEFAULT_RESOLUTION = "coarse";
+export const CURL_SAMPLE_OFFSET = ROCK_RADIUS * 0.8;
+
+// Angular velocity (rad/s, positive clockwise like rock.spin) of a stone
+// released with paperTurns 1. Spin curl scales with omega / SPIN_RATE.
+export const SPIN_RATE = 1.2;
+
+// Lateral force terms (spin curl, gradient drift, slope) are in sheet units
+// per second; this turns them into sideways acceleration per second.
+export const LATERAL_RESPONSE = 0.8;
+
+// Physics timestep (seconds). The game and the simulator both integrate
+// in steps of exactly this size; see timestep.mjs.
+export const FIXED_DT = 0.016;
+
+export const DEFAULTS = {
+  baseFriction: 0.08,
+  pebbleFrictionBonus: 0.07,
+  curlCoeff: 40,
+  gradientCoeff: 8,
+  slopeGravity: 18,
+  frictionDecel: 5,
+  speedScale: 60,
+  wearRate: 0.0015,
+  sweepBoost: 0.15,
+  // Share of spin curl removed by sweeping at full effort
+  sweepStraighten: 0.4,
+  // Friction taken off the swept side of the stone by directional
+  // sweeping at full effort
+  sweepSteer: 0.08,
+  // Normal coefficient of restitution between stones. 0.84 hands a struck
+  // stone 92% of the shooter's speed on a square hit.
+  restitution: 0.84,
+  // Rotation lost per second per unit of ice friction (rad/s)
+  spinDecay: 0.2,
+  // Stone-on-stone friction at a contact; trades spin between stones
+  stoneFriction: 0.15,
+};
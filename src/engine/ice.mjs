@@ -0,0 +1,462 @@
+// ice.mjs — Ice grid: per-cell surface state, sampling, wear and heat
+//
+// The grid covers the whole sheet at any resolution. Each surface field is
+// one packed Float64Array, row-major: cell (c, r) is at index r * cols + c.
+// A tick visits the wet cells and the blocks where heat is still moving, not
+// the whole grid, and heat flows between blocks no smaller than a fine
+// grid's cells, so finer grids cost little more per tick (see
+// tests/benchmark.mjs).
+
+import {
+  GRID_COLS,
+  GRID_ROWS,
+  GRID_X_MIN,
+  GRID_X_MAX,
+  GRID_Y_MIN,
+  GRID_Y_MAX,
+  CELL_W,
+  CELL_H,
+} from "./constants.mjs";
+
+/** Share of the temperature difference to a neighbour that flows per second. */
+export const HEAT_DIFFUSION = 0.02;
+
+/** Degrees per second that sweeping at full effort (fabric pad) adds. */
+export const SWEEP_HEAT = 1;
+
+/** Time constant (s) for brine pipes to bring a cell to their temperature. */
+export const BRINE_TIME = 20;
+
+/** Extra pebble wear per degree above 0; colder, harder ice wears less. */
+export const WARM_WEAR = 0.1;
+
+/** Surface water lost per second. */
+export const EVAPORATION = 0.008;
+
+/**
+ * Seconds of heat flow worked out at once. Heat moves slowly next to a
+ * physics tick, so stepThermal banks ticks and runs the flow at this pace.
+ */
+export const THERMAL_STEP = 0.25;
+
+/**
+ * Heat flows between blocks of cells no smaller than the cells of a grid
+ * this size; on finer grids each block evens out as heat moves. Heat
+ * spreads over several cells of this grid in a few seconds anyway, and
+ * heat flow costs no more on finer grids than on this one.
+ */
+export const HEAT_COLS = GRID_COLS * 2,
+  HEAT_ROWS = GRID_ROWS * 2;
+
+// A block whose cells' temperatures move less than this in a step has
+// settled
+const SETTLED = 1e-6;
+// A moving block writes its cells once its temperature is this far from
+// what they hold, and when it settles
+const SHOWN = 1e-3;
+
+/** Per-cell fields and their values on fresh ice (brine NaN = no pipes). */
+export const CELL_FIELDS = {
+  pebbleHeight: 1.0,
+  temperature: 0,
+  moisture: 0,
+  slopeX: 0,
+  slopeY: 0,
+  // Temperature the brine pipes under the cell hold it at
+  brine: NaN,
+};
+
+/** Pebble wear multiplier for a cell at the given temperature. */
+export function thermalWear(temperature) {
+  return Math.max(0.5, 1 + WARM_WEAR * temperature);
+}
+
+export class IceGrid {
+  /**
+   * @param {number} [cols=GRID_COLS] - Cells along the sheet
+   * @param {number} [rows=GRID_ROWS] - Cells across the sheet
+   */
+  constructor(cols = GRID_COLS, rows = GRID_ROWS) {
+    this.cols = cols;
+    this.rows = rows;
+    this.size = cols * rows;
+    this.cellW = (GRID_X_MAX - GRID_X_MIN) / cols;
+    this.cellH = (GRID_Y_MAX - GRID_Y_MIN) / rows;
+    for (const [field, value] of Object.entries(CELL_FIELDS))
+      this[field] = new Float64Array(this.size).fill(value);
+    // Heat flows between _hc × _hr blocks (see HEAT_COLS). Block column b
+    // holds cell columns _colStart[b] to _colStart[b + 1] - 1, and cell
+    // column c is in block column _blockCol[c]; rows likewise. _heat is
+    // each block's temperature, _shown what its cells were last given and
+    // _heatBrine its pipes' (NaN = none). Where _stale is 1 the cells have
+    // been written since, so the block takes them in again.
+    const hc = Math.min(cols, HEAT_COLS),
+      hr = Math.min(rows, HEAT_ROWS);
+    this._hc = hc;
+    this._hr = hr;
+    this._colStart = Int32Array.from({ length: hc + 1 }, (_, b) =>
+      Math.floor((b * cols) / hc),
+    );
+    this._rowStart = Int32Array.from({ length: hr + 1 }, (_, b) =>
+      Math.floor((b * rows) / hr),
+    );
+    this._blockCol = Int32Array.from({ length: cols }, (_, c) =>
+      Math.floor((c * hc) / cols),
+    );
+    this._blockRow = Int32Array.from({ length: rows }, (_, r) =>
+      Math.floor((r * hr) / rows),
+    );
+    this._heat = new Float64Array(hc * hr);
+    this._shown = new Float64Array(hc * hr);
+    this._heatBrine = new Float64Array(hc * hr);
+    this._stale = new Uint8Array(hc * hr);
+    this._scratch = new Float64Array(hc * hr);
+    // Heat flows per unit of temperature difference scale with the inverse
+    // square of the block size, relative to the default grid's cells
+    this._ax = ((CELL_W * hc) / (GRID_X_MAX - GRID_X_MIN)) ** 2;
+    this._ay = ((CELL_H * hr) / (GRID_Y_MAX - GRID_Y_MIN)) ** 2;
+    // Wet cells for evaporateMoisture, with a membership flag, and the
+    // blocks stepThermal works: in each block row, block columns
+    // _warmLo[r] to _warmHi[r] may still have heat moving (none when
+    // lo > hi). A warm trail covers a few rows and the stretch of each the
+    // stone crossed.
+    this._wet = [];
+    this._isWet = new Uint8Array(this.size);
+    this._warmLo = new Int32Array(hr).fill(hc);
+    this._warmHi = new Int32Array(hr).fill(-1);
+    this._dirty = null;
+    // Time banked toward the next heat flow step
+    this._thermalTime = 0;
+    this.refresh();
+  }
+  index(c, r) {
+    return r * this.cols + c;
+  }
+  /** World x of column c's centre. */
+  cellX(c) {
+    return GRID_X_MIN + (c + 0.5) * this.cellW;
+  }
+  /** World y of row r's centre. */
+  cellY(r) {
+    return GRID_Y_MIN + (r + 0.5) * this.cellH;
+  }
+  toGrid(wx, wy) {
+    return [
+      Math.max(
+        0,
+        Math.min(this.cols - 1, Math.floor((wx - GRID_X_MIN) / this.cellW)),
+      ),
+      Math.max(
+        0,
+        Math.min(this.rows - 1, Math.floor((wy - GRID_Y_MIN) / this.cellH)),
+      ),
+    ];
+  }
+  frictionAt(i, bf, pb) {
+    return Math.max(
+      0.02,
+      bf +
+        this.pebbleHeight[i] * pb -
+        this.moisture[i] * 0.03 +
+        this.temperature[i] * 0.002,
+    );
+  }
+  /**
+   * Re-scan every cell after writing the field arrays directly (profiles,
+   * maintenance, loading a saved sheet), so the next ticks visit the cells
+   * that are wet or not yet at an even temperature.
+   */
+  refresh() {
+    this._wet.length = 0;
+    this._isWet.fill(0);
+    for (let i = 0; i < this.size; i++)
+      if (this.moisture[i] > 0) this._wetten(i);
+    this._stale.fill(1);
+    this._shown.set(this._heat);
+    this._warmLo.fill(0);
+    this._warmHi.fill(this._hc - 1);
+    this._markDirty(0, 0, this.cols - 1, this.rows - 1);
+  }
+  /**
+   * The block of cells changed since the last call, { c0, r0, c1, r1 }
+   * inclusive, or null if none.
+   */
+  takeDirty() {
+    const d = this._dirty;
+    this._dirty = null;
+    return d;
+  }
+  _markDirty(c0, r0, c1, r1) {
+    const d = this._dirty;
+    if (!d) this._dirty = { c0, r0, c1, r1 };
+    else {
+      d.c0 = Math.min(d.c0, c0);
+      d.r0 = Math.min(d.r0, r0);
+      d.c1 = Math.max(d.c1, c1);
+      d.r1 = Math.max(d.r1, r1);
+    }
+  }
+  _wetten(i) {
+    if (this._isWet[i]) return;
+    this._isWet[i] = 1;
+    this._wet.push(i);
+  }
+  // Cells in rows r0-r1, columns c0-c1 (all by default), and their
+  // neighbours may now have heat to trade
+  _warmen(r0, r1, c0 = 0, c1 = this.cols - 1) {
+    const { cols, rows, _blockCol: bc, _blockRow: br, _hc: hc } = this;
+    const b0 = bc[Math.max(0, c0)],
+      b1 = bc[Math.min(cols - 1, c1)],
+      a0 = br[Math.max(0, r0)],
+      a1 = br[Math.min(rows - 1, r1)];
+    for (let r = a0; r <= a1; r++)
+      this._stale.fill(1, r * hc + b0, r * hc + b1 + 1);
+    this._warmBlocks(a0, a1, b0, b1);
+  }
+  // Blocks in block rows r0-r1, columns c0-c1, and their neighbours
+  _warmBlocks(r0, r1, c0, c1) {
+    const { _warmLo: lo, _warmHi: hi } = this;
+    const left = Math.max(0, c0 - 1),
+      right = Math.min(this._hc - 1, c1 + 1),
+      last = Math.min(this._hr - 1, r1 + 1);
+    for (let r = Math.max(0, r0 - 1); r <= last; r++) {
+      if (left < lo[r]) lo[r] = left;
+      if (right > hi[r]) hi[r] = right;
+    }
+  }
+  _bilinear(wx, wy, fn) {
+    const fx = (wx - GRID_X_MIN) / this.cellW - 0.5,
+      fy = (wy - GRID_Y_MIN) / this.cellH - 0.5;
+    const c0 = Math.max(0, Math.min(this.cols - 2, Math.floor(fx))),
+      r0 = Math.max(0, Math.min(this.rows - 2, Math.floor(fy)));
+    const tx = Math.max(0, Math.min(1, fx - c0)),
+      ty = Math.max(0, Math.min(1, fy - r0));
+    const i = r0 * this.cols + c0;
+    return (
+      fn(i) * (1 - tx) * (1 - ty) +
+      fn(i + 1) * tx * (1 - ty) +
+      fn(i + this.cols) * (1 - tx) * ty +
+      fn(i + this.cols + 1) * tx * ty
+    );
+  }
+  /** Bilinear sample of one field (a key of CELL_FIELDS) at (wx, wy). */
+  sample(field, wx, wy) {
+    const values = this[field];
+    return this._bilinear(wx, wy, (i) => values[i]);
+  }
+  sampleFriction(wx, wy, bf, pb) {
+    return this._bilinear(wx, wy, (i) => this.frictionAt(i, bf, pb));
+  }
+  sampleSlope(wx, wy) {
+    return {
+      sx: this._bilinear(wx, wy, (i) => this.slopeX[i]),
+      sy: this._bilinear(wx, wy, (i) => this.slopeY[i]),
+    };
+  }
+  // Calls fn(i, weight) for the cell under (wx, wy), weight 1, and its
+  // neighbours, weight 0.3. The footprint is 3×3 cells at any resolution,
+  // so finer grids leave narrower, sharper tracks.
+  _spread(wx, wy, fn) {
+    const [c, r] = this.toGrid(wx, wy);
+    for (let dc = -1; dc <= 1; dc++)
+      for (let dr = -1; dr <= 1; dr++) {
+        const cc = c + dc,
+          rr = r + dr;
+        if (cc < 0 || cc >= this.cols || rr < 0 || rr >= this.rows) continue;
+        fn(rr * this.cols + cc, dc === 0 && dr === 0 ? 1.0 : 0.3);
+      }
+    this._markDirty(
+      Math.max(0, c - 1),
+      Math.max(0, r - 1),
+      Math.min(this.cols - 1, c + 1),
+      Math.min(this.rows - 1, r + 1),
+    );
+  }
+  // Running-band wear under a moving rock
+  applyWear(wx, wy, dt, wearRate) {
+    const { pebbleHeight, temperature } = this;
+    this._spread(wx, wy, (i, w) => {
+      pebbleHeight[i] = Math.max(
+        0,
+        pebbleHeight[i] - wearRate * w * thermalWear(temperature[i]) * dt,
+      );
+    });
+  }
+  // Sweeping (effort 0-1) scrubs the pebble harder, leaves a film of
+  // moisture and warms the surface, each scaled by the brush
+  // ({ friction, wear, moisture }, see BRUSHES).
+  applySweep(wx, wy, dt, effort, wearRate, brush) {
+    const { pebbleHeight, temperature, moisture } = this;
+    this._spread(wx, wy, (i, w) => {
+      const sw = w * effort;
+      pebbleHeight[i] = Math.max(
+        0,
+        pebbleHeight[i] -
+          wearRate * 2.5 * brush.wear * thermalWear(temperature[i]) * sw * dt,
+      );
+      temperature[i] += SWEEP_HEAT * brush.friction * sw * dt;
+      moisture[i] = Math.min(1, moisture[i] + 0.05 * brush.moisture * sw * dt);
+      this._wetten(i);
+    });
+    const [c, r] = this.toGrid(wx, wy);
+    this._warmen(r - 1, r + 1, c - 1, c + 1);
+  }
+  // Heat flows between neighbouring cells; brine pipes pull the cells above
+  // them back toward the pipes' temperature. Runs in THERMAL_STEP steps,
+  // each split so the flow stays stable on fine grids.
+  stepThermal(dt) {
+    this._thermalTime += dt;
+    const n = Math.ceil(
+      HEAT_DIFFUSION * 2 * (this._ax + this._ay) * THERMAL_STEP,
+    );
+    while (this._thermalTime >= THERMAL_STEP - 1e-9) {
+      this._thermalTime -= THERMAL_STEP;
+      for (let s = 0; s < n; s++) this._diffuse(THERMAL_STEP / n);
+    }
+  }
+  /**
+   * Let heat flow until it has settled, as it has under brine pipes that
+   * ran before play, for at most `limit` seconds of flow.
+   */
+  settleHeat(limit = 300) {
+    const { _warmLo: lo, _warmHi: hi } = this;
+    for (
+      let t = 0;
+      t < limit && hi.some((c, r) => c >= lo[r]);
+      t += THERMAL_STEP
+    )
+      this.stepThermal(THERMAL_STEP);
+  }
+  _diffuse(dt) {
+    const { cols, temperature: T, brine, _scratch: next } = this;
+    const { _hc: hc, _hr: hr, _heat: H, _heatBrine: B } = this;
+    const { _colStart: cs, _rowStart: rs, _warmLo: lo, _warmHi: hi } = this;
+    const { _stale: stale, _shown: shown } = this;
+    const k = Math.min(0.25, HEAT_DIFFUSION * dt),
+      pull = Math.min(1, dt / BRINE_TIME),
+      ax = this._ax,
+      ay = this._ay;
+    // Take in the cells of warm blocks written since the last step, keeping
+    // the heat that hadn't yet been shown in them
+    for (let r = 0; r < hr; r++)
+      for (let c = lo[r], b = r * hc + c; c <= hi[r]; c++, b++) {
+        if (!stale[b]) continue;
+        let t = 0,
+          pipes = 0,
+          piped = 0;
+        for (let y = rs[r]; y < rs[r + 1]; y++)
+          for (let i = y * cols + cs[c], e = y * cols + cs[c + 1]; i < e; i++) {
+            t += T[i];
+            if (!Number.isNaN(brine[i])) {
+              pipes += brine[i];
+              piped++;
+            }
+          }
+        H[b] += t / ((rs[r + 1] - rs[r]) * (cs[c + 1] - cs[c])) - shown[b];
+        B[b] = piped ? pipes / piped : NaN;
+      }
+    for (let r = 0; r < hr; r++) {
+      // Offsets to the blocks above and below; 0 at the sheet's sides,
+      // where the block's own temperature makes no flow
+      const up = r > 0 ? -hc : 0,
+        down = r < hr - 1 ? hc : 0,
+        end = hi[r];
+      for (let c = lo[r], b = r * hc + c; c <= end; c++, b++) {
+        const t = H[b];
+        const flow =
+          ((c > 0 ? H[b - 1] : t) - t) * ax +
+          ((c < hc - 1 ? H[b + 1] : t) - t) * ax +
+          (H[b + up] - t) * ay +
+          (H[b + down] - t) * ay;
+        let v = t + k * flow;
+        if (!Number.isNaN(B[b])) v += (B[b] - v) * pull;
+        next[b] = v;
+      }
+    }
+    // Apply the step. Blocks where no cell moved have settled, the others
+    // (and their neighbours) stay warm; each block's cells take its
+    // temperature when it's stale, settles or has moved SHOWN since they
+    // last did. `moved` holds each block row's moving columns as r, c0, c1.
+    const moved = [];
+    for (let r = 0; r < hr; r++) {
+      let m0 = -1,
+        m1 = -1;
+      for (let c = lo[r], b = r * hc + c, end = hi[r]; c <= end; c++, b++) {
+        const v = next[b];
+        let m = false;
+        if (stale[b]) {
+          for (let y = rs[r]; y < rs[r + 1]; y++)
+            for (
+              let i = y * cols + cs[c], e = y * cols + cs[c + 1];
+              i < e;
+              i++
+            ) {
+              if (Math.abs(v - T[i]) > SETTLED) m = true;
+              T[i] = v;
+            }
+          shown[b] = v;
+          stale[b] = 0;
+        } else {
+          // The cells all hold shown[b]
+          m = Math.abs(v - H[b]) > SETTLED;
+          if (m ? Math.abs(v - shown[b]) > SHOWN : v !== shown[b]) {
+            for (let y = rs[r]; y < rs[r + 1]; y++)
+              T.fill(v, y * cols + cs[c], y * cols + cs[c + 1]);
+            shown[b] = v;
+          }
+        }
+        H[b] = v;
+        if (m) {
+          if (m0 < 0) m0 = c;
+          m1 = c;
+        }
+      }
+      lo[r] = hc;
+      hi[r] = -1;
+      if (m0 >= 0) moved.push(r, m0, m1);
+    }
+    if (!moved.length) return;
+    let c0 = hc,
+      c1 = -1;
+    for (let j = 0; j < moved.length; j += 3) {
+      this._warmBlocks(moved[j], moved[j], moved[j + 1], moved[j + 2]);
+      c0 = Math.min(c0, moved[j + 1]);
+      c1 = Math.max(c1, moved[j + 2]);
+    }
+    this._markDirty(
+      cs[c0],
+      rs[moved[0]],
+      cs[c1 + 1] - 1,
+      rs[moved[moved.length - 3] + 1] - 1,
+    );
+  }
+  // Marks the block holding the listed cells as changed
+  _markCells(list) {
+    if (!list.length) return;
+    let c0 = this.cols,
+      r0 = this.rows,
+      c1 = -1,
+      r1 = -1;
+    for (const i of list) {
+      const c = i % this.cols,
+        r = (i - c) / this.cols;
+      if (c < c0) c0 = c;
+      if (c > c1) c1 = c;
+      if (r < r0) r0 = r;
+      if (r > r1) r1 = r;
+    }
+    this._markDirty(c0, r0, c1, r1);
+  }
+  evaporateMoisture(dt) {
+    const { moisture, _wet: wet } = this;
+    this._markCells(wet);
+    for (let j = wet.length - 1; j >= 0; j--) {
+      const i = wet[j];
+      moisture[i] = Math.max(0, moisture[i] - EVAPORATION * dt);
+      if (moisture[i] > 0) continue;
+      this._isWet[i] = 0;
+      wet[j] = wet[wet.length - 1];
+      wet.pop();
+    }
+  }
+}
@@ -0,0 +1,153 @@
+// icefile.mjs — Ice sheets as files: a versioned JSON format
+//
+// A file holds the grid's dimensions and every cell's surface fields, so a
+// worn sheet can be saved from a game and played again later, in the game
+// or the headless simulator. Field arrays are stored plain or run-length
+// encoded; fresh and lightly worn sheets are mostly long runs of one value.
+//
+//   {
+//     "format": "curl-ice", "version": 1, "name": "…",
+//     "cols": 48, "rows": 16,
+//     "extent": { "xMin": -680, "xMax": 50, "yMin": -82, "yMax": 82 },
+//     "fields": {
+//       "pebbleHeight": [1, 1, 0.98, …],           // plain, row-major
+//       "slopeY": { "runs": [[0, 700], [0.0012, 68]] }  // [value, count]
+//     }
+//   }
+//
+// Cells are row-major (index r * cols + c) as in IceGrid. Fields left out
+// keep their fresh-ice values; `brine` is saved only for sheets with pipes,
+// with null for cells without.
+
+import {
+  GRID_X_MIN,
+  GRID_X_MAX,
+  GRID_Y_MIN,
+  GRID_Y_MAX,
+  GRID_RESOLUTIONS,
+} from "./constants.mjs";
+import { CELL_FIELDS, IceGrid } from "./ice.mjs";
+
+export const ICE_FILE_FORMAT = "curl-ice";
+
+/** Version written by exportIce; importIce reads this and older. */
+export const ICE_FILE_VERSION = 1;
+
+const EXTENT = {
+  xMin: GRID_X_MIN,
+  xMax: GRID_X_MAX,
+  yMin: GRID_Y_MIN,
+  yMax: GRID_Y_MAX,
+};
+
+// Largest grid a file may hold: the finest resolution the game offers
+const MAX_COLS = Math.max(
+  ...Object.values(GRID_RESOLUTIONS).map((g) => g.cols),
+);
+const MAX_ROWS = Math.max(
+  ...Object.values(GRID_RESOLUTIONS).map((g) => g.rows),
+);
+
+// JSON has no NaN: cells without brine pipes are written as null
+const toJson = (v) => (Number.isNaN(v) ? null : v);
+
+function encodeRuns(values) {
+  const runs = [];
+  for (const v of values) {
+    const last = runs[runs.length - 1];
+    if (last && Object.is(last[0], toJson(v))) last[1]++;
+    else runs.push([toJson(v), 1]);
+  }
+  return { runs };
+}
+
+function decodeField(name, stored, size) {
+  const wrongSize = () =>
+    new Error(`Ice file field "${name}" should hold ${size} cells`);
+  let values = stored;
+  if (stored && Array.isArray(stored.runs)) {
+    // Check the run lengths add up before expanding any of them
+    let total = 0;
+    for (const run of stored.runs) {
+      const count = Array.isArray(run) ? run[1] : undefined;
+      if (!Number.isInteger(count) || count < 1)
+        throw new Error(`Ice file field "${name}" has a bad run length`);
+      total += count;
+      if (total > size) throw wrongSize();
+    }
+    values = [];
+    for (const [v, count] of stored.runs)
+      for (let k = 0; k < count; k++) values.push(v);
+  }
+  if (!Array.isArray(values) || values.length !== size) throw wrongSize();
+  const out = new Float64Array(size);
+  values.forEach((v, i) => {
+    if (v === null && name === "brine") out[i] = NaN;
+    else if (Number.isFinite(v)) out[i] = v;
+    else throw new Error(`Ice file field "${name}" has a bad value at ${i}`);
+  });
+  return out;
+}
+
+/**
+ * A grid as an ice file object, ready for JSON.stringify.
+ *
+ * @param {IceGrid} grid
+ * @param {Object} [opts]
+ * @param {boolean} [opts.compress=true] - Run-length encode the fields
+ * @param {string} [opts.name]           - Label saved with the sheet
+ */
+export function exportIce(grid, { compress = true, name } = {}) {
+  const fields = {};
+  for (const field of Object.keys(CELL_FIELDS)) {
+    const values = grid[field];
+    if (field === "brine" && values.every(Number.isNaN)) continue;
+    fields[field] = compress ? encodeRuns(values) : Array.from(values, toJson);
+  }
+  return {
+    format: ICE_FILE_FORMAT,
+    version: ICE_FILE_VERSION,
+    ...(name && { name }),
+    cols: grid.cols,
+    rows: grid.rows,
+    extent: EXTENT,
+    fields,
+  };
+}
+
+/**
+ * Build a grid from an ice file. Throws an Error saying what is wrong if
+ * the file isn't one this version can read.
+ *
+ * @param {Object|string} file - Ice file object, or its JSON text
+ * @returns {IceGrid}
+ */
+export function importIce(file) {
+  const data = typeof file === "string" ? JSON.parse(file) : file;
+  if (data?.format !== ICE_FILE_FORMAT) throw new Error("Not an ice file");
+  if (!Number.isInteger(data.version))
+    throw new Error("Ice file has no version");
+  if (data.version > ICE_FILE_VERSION)
+    throw new Error(
+      `Ice file version ${data.version} is newer than this game reads ` +
+        `(${ICE_FILE_VERSION})`,
+    );
+  const { cols, rows } = data;
+  const size = (n, max) => Number.isInteger(n) && n >= 2 && n <= max;
+  if (!size(cols, MAX_COLS) || !size(rows, MAX_ROWS))
+    throw new Error(
+      `Ice file needs whole cols from 2 to ${MAX_COLS} and rows from 2 ` +
+        `to ${MAX_ROWS}`,
+    );
+  if (
+    data.extent &&
+    Object.keys(EXTENT).some((k) => data.extent[k] !== EXTENT[k])
+  )
+    throw new Error("Ice file covers a different sheet");
+  const grid = new IceGrid(cols, rows);
+  for (const [field, stored] of Object.entries(data.fields ?? {}))
+    if (Object.hasOwn(CELL_FIELDS, field))
+      grid[field].set(decodeField(field, stored, grid.size));
+  grid.refresh();
+  return grid;
+}
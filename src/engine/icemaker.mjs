@@ -0,0 +1,164 @@
+// icemaker.mjs — Ice maker: paint pebble, temperature and slope onto a grid
+//
+// Each dab of a brush moves the cells under it part of the way toward a
+// target value, most at the centre and fading to nothing at the rim, so
+// repeated dabs build up smoothly. Edits are recorded stroke by stroke for
+// undo and redo, and a finished sheet becomes a profile that builds the
+// same ice at any grid resolution.
+
+import { exportIce } from "./icefile.mjs";
+
+/**
+ * Ice maker brushes. `value` is what a dab paints toward: pebble height,
+ * temperature (degrees from 0) or slope magnitude (the direction is set
+ * per dab).
+ */
+export const ICE_MAKER_TOOLS = {
+  pebble: {
+    name: "Pebble",
+    desc: "Pebble height: low for worn, keen ice, high for heavy ice.",
+    values: [0.6, 0.8, 1, 1.2],
+  },
+  temperature: {
+    name: "Temperature",
+    desc: "Colder ice runs keener; brine pipes hold what is painted.",
+    values: [-3, -1.5, 0, 1.5],
+  },
+  slope: {
+    name: "Slope",
+    desc: "Fall: the direction and grade the ice runs downhill.",
+    values: [0, 0.001, 0.002, 0.004],
+  },
+};
+
+/** Strokes kept for undo. */
+export const UNDO_LIMIT = 30;
+
+// Fields the ice maker changes, saved for undo
+const EDIT_FIELDS = [
+  "pebbleHeight",
+  "temperature",
+  "brine",
+  "slopeX",
+  "slopeY",
+];
+
+const MAX_PEBBLE = 1.3;
+
+// One dab centred on (x, y): calls fn(i, weight) for every cell whose
+// centre is within the radius, and marks the block under the brush as
+// changed. Returns the block, [c0, r0, c1, r1].
+function dab(grid, x, y, radius, strength, fn) {
+  const [c0, r0] = grid.toGrid(x - radius, y - radius),
+    [c1, r1] = grid.toGrid(x + radius, y + radius);
+  for (let r = r0; r <= r1; r++)
+    for (let c = c0; c <= c1; c++) {
+      const d = Math.hypot(grid.cellX(c) - x, grid.cellY(r) - y) / radius;
+      if (d < 1) fn(grid.index(c, r), strength * (1 - d * d));
+    }
+  grid._markDirty(c0, r0, c1, r1);
+  return [c0, r0, c1, r1];
+}
+
+/**
+ * Paint one dab of an ice maker brush.
+ *
+ * @param {IceGrid} grid
+ * @param {Object} brush
+ * @param {string} brush.tool          - Key of ICE_MAKER_TOOLS
+ * @param {number} brush.x             - Centre, world coordinates
+ * @param {number} brush.y
+ * @param {number} brush.value         - Target (see ICE_MAKER_TOOLS)
+ * @param {number} [brush.direction=0] - Slope: downhill heading in world
+ *   coordinates, radians (π = toward the house, π/2 = toward +y)
+ * @param {number} [brush.radius=20]   - Sheet units
+ * @param {number} [brush.strength=0.5] - Share of the way to the target a
+ *   dab moves the centre cell, 0-1
+ * @param {boolean} [brush.mirror=false] - Also paint the mirror image
+ *   across the centre line
+ */
+export function paintIce(grid, brush) {
+  const {
+    tool,
+    x,
+    y,
+    value,
+    direction = 0,
+    radius = 20,
+    strength = 0.5,
+    mirror = false,
+  } = brush;
+  const { pebbleHeight, temperature, brine, slopeX, slopeY } = grid;
+  const paint = (cy, side) => {
+    const [c0, r0, c1, r1] = dab(grid, x, cy, radius, strength, (i, w) => {
+      if (tool === "pebble") {
+        const h = pebbleHeight[i] + (value - pebbleHeight[i]) * w;
+        pebbleHeight[i] = Math.max(0, Math.min(MAX_PEBBLE, h));
+      } else if (tool === "temperature") {
+        temperature[i] += (value - temperature[i]) * w;
+        if (!Number.isNaN(brine[i])) brine[i] = temperature[i];
+      } else if (tool === "slope") {
+        // +slopeX runs toward the house (-x)
+        slopeX[i] += (-value * Math.cos(direction) - slopeX[i]) * w;
+        slopeY[i] += (side * value * Math.sin(direction) - slopeY[i]) * w;
+      }
+    });
+    // Painted temperatures have heat to trade with their neighbours.
+    // Moisture is left alone, so the wet cells are as they were.
+    if (tool === "temperature") grid._warmen(r0, r1, c0, c1);
+  };
+  paint(y, 1);
+  if (mirror && y !== 0) paint(-y, -1);
+}
+
+export function createIceHistory() {
+  return { undo: [], redo: [] };
+}
+
+const snapshot = (grid) =>
+  Object.fromEntries(EDIT_FIELDS.map((f) => [f, grid[f].slice()]));
+
+function restore(grid, snap) {
+  for (const f of EDIT_FIELDS) grid[f].set(snap[f]);
+  grid.refresh();
+}
+
+/** Remember the grid as it is before a stroke, for undoIce. */
+export function recordIce(history, grid) {
+  history.undo.push(snapshot(grid));
+  if (history.undo.length > UNDO_LIMIT) history.undo.shift();
+  history.redo.length = 0;
+}
+
+/** Take the grid back to before the last stroke; false if none. */
+export function undoIce(history, grid) {
+  const snap = history.undo.pop();
+  if (!snap) return false;
+  history.redo.push(snapshot(grid));
+  restore(grid, snap);
+  return true;
+}
+
+/** Put back the last stroke undone; false if none. */
+export function redoIce(history, grid) {
+  const snap = history.redo.pop();
+  if (!snap) return false;
+  history.undo.push(snapshot(grid));
+  restore(grid, snap);
+  return true;
+}
+
+/**
+ * A profile for ICE_PROFILES (see addIceProfile) that builds the painted
+ * sheet. The sheet is kept as an ice file (`ice`); grids of another
+ * resolution are resampled from it.
+ *
+ * @param {IceGrid} grid
+ * @param {{ name: string, desc?: string }} info
+ */
+export function iceProfileFromGrid(
+  grid,
+  { name, desc = "Made in the ice maker." },
+) {
+  return { name, desc, ice: exportIce(grid, { name }) };
+}
@@ -0,0 +1,20 @@
+// index.mjs — Curling physics engine (framework-free)
+//
+// The single source of truth for world constants, seeded randomness, the
+// ice grid, ice profiles, per-tick physics, fixed-step integration,
+// collisions, sweeping, scoring, game modes, ice maintenance, ice files and
+// the ice maker. Imported by the game component (src/App.jsx) and the
+// headless simulator (tests/).
+
+export * from "./constants.mjs";
+export * from "./random.mjs";
+export * from "./ice.mjs";
+export * from "./profiles.mjs";
+export * from "./physics.mjs";
+export * from "./timestep.mjs";
+export * from "./rules.mjs";
+export * from "./modes.mjs";
+export * from "./sweeping.mjs";
+export * from "./maintenance.mjs";
+export * from "./icefile.mjs";
+export * from "./icemaker.mjs";
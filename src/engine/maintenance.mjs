@@ -0,0 +1,162 @@
+// maintenance.mjs — Ice crew work between ends and games: scrape, re-pebble
+// and nip
+//
+// Each operation works on the cells whose centres fall in a region of the
+// sheet. The crew's quality (0-1) sets how evenly it works: a perfect crew
+// leaves every cell the same, a poor one leaves patchy pebble. All the
+// unevenness is drawn from the `rng` passed in, so a seed replays it.
+
+import { WORLD } from "./constants.mjs";
+import { createRng } from "./random.mjs";
+
+/** Pebble height of freshly sprayed pebble. */
+export const FRESH_PEBBLE = 1.0;
+
+/** Height a nip cuts fresh pebble down to. */
+export const NIP_HEIGHT = 0.9;
+
+/** Water left on the surface by fresh pebble, before it freezes. */
+export const PEBBLE_WATER = 0.3;
+
+/** Pebble height spread (±) left by a crew of quality 0. */
+const UNEVENNESS = 0.3;
+
+/** Regions of the sheet the crew can work, in world coordinates. */
+export const ICE_REGIONS = {
+  sheet: {
+    name: "Whole sheet",
+    x0: WORLD.sheetEnd,
+    x1: WORLD.sheetStart,
+    y0: -WORLD.sheetHalfWidth,
+    y1: WORLD.sheetHalfWidth,
+  },
+  house: {
+    name: "House",
+    x0: WORLD.backLine,
+    x1: WORLD.houseCenter.x + WORLD.houseRadii[3],
+    y0: -WORLD.houseRadii[3],
+    y1: WORLD.houseRadii[3],
+  },
+  paths: {
+    name: "Running paths",
+    x0: WORLD.backLine,
+    x1: WORLD.hackPos,
+    y0: -40,
+    y1: 40,
+  },
+};
+
+// Calls fn(i) for every cell whose centre lies in the region
+function forRegion(grid, region, fn) {
+  const { x0, x1, y0, y1 } = ICE_REGIONS[region] ?? region;
+  for (let c = 0; c < grid.cols; c++) {
+    const x = grid.cellX(c);
+    if (x < x0 || x > x1) continue;
+    for (let r = 0; r < grid.rows; r++) {
+      const y = grid.cellY(r);
+      if (y >= y0 && y <= y1) fn(grid.index(c, r));
+    }
+  }
+}
+
+// A crew's error: ±UNEVENNESS at quality 0, none at quality 1
+const uneven = (quality, rng) => (rng() * 2 - 1) * UNEVENNESS * (1 - quality);
+
+/**
+ * Scrape: shave off what is left of the pebble and clear surface water. A
+ * poorer crew leaves the odd ridge of ice standing.
+ */
+export function scrapeIce(grid, region, quality, rng) {
+  const { pebbleHeight, moisture } = grid;
+  forRegion(grid, region, (i) => {
+    pebbleHeight[i] = Math.max(0, uneven(quality, rng) / 2);
+    moisture[i] = 0;
+  });
+  grid.refresh();
+}
+
+/** Re-pebble: spray fresh pebble over worn or scraped ice. */
+export function pebbleIce(grid, region, quality, rng) {
+  const { pebbleHeight, moisture } = grid;
+  forRegion(grid, region, (i) => {
+    const fresh = FRESH_PEBBLE + uneven(quality, rng);
+    pebbleHeight[i] = Math.max(pebbleHeight[i], fresh);
+    moisture[i] = Math.min(1, moisture[i] + PEBBLE_WATER);
+  });
+  grid.refresh();
+}
+
+/** Nip: cut the tops off fresh pebble so it runs true. */
+export function nipIce(grid, region, quality, rng) {
+  const { pebbleHeight } = grid;
+  forRegion(grid, region, (i) => {
+    const cut = NIP_HEIGHT + uneven(quality, rng) / 2;
+    pebbleHeight[i] = Math.min(pebbleHeight[i], cut);
+  });
+  grid.refresh();
+}
+
+const OPERATIONS = { scrape: scrapeIce, pebble: pebbleIce, nip: nipIce };
+
+/**
+ * What the crew does. `settle` is how long (s) the ice rests before play,
+ * time in which fresh pebble water freezes off and heat evens out.
+ */
+export const MAINTENANCE_PLANS = {
+  none: {
+    name: "None",
+    desc: "Wear carries on through the game.",
+    steps: [],
+    settle: 0,
+  },
+  touchUp: {
+    name: "Touch-up",
+    desc: "Re-pebble and nip the running paths and the house.",
+    steps: [
+      { op: "pebble", region: "paths" },
+      { op: "pebble", region: "house" },
+      { op: "nip", region: "paths" },
+      { op: "nip", region: "house" },
+    ],
+    settle: 60,
+  },
+  full: {
+    name: "Full",
+    desc: "Scrape, re-pebble and nip the whole sheet.",
+    steps: [
+      { op: "scrape", region: "sheet" },
+      { op: "pebble", region: "sheet" },
+      { op: "nip", region: "sheet" },
+    ],
+    settle: 120,
+  },
+};
+
+/**
+ * Run a maintenance plan over the grid in place.
+ *
+ * @param {IceGrid} grid
+ * @param {string|Object} plan - Key of MAINTENANCE_PLANS, or { steps, settle }
+ *   with steps [{ op: "scrape"|"pebble"|"nip", region }] (region a key of
+ *   ICE_REGIONS or { x0, x1, y0, y1 })
+ * @param {Object} opts
+ * @param {Function} [opts.rng]      - Draws the crew's unevenness
+ * @param {number} [opts.quality=1]  - Crew quality, 0-1
+ * @param {number} [opts.settle]     - Seconds before play (plan's default)
+ * @returns {IceGrid} grid
+ */
+export function maintainIce(
+  grid,
+  plan,
+  { rng = createRng(1), quality = 1, settle } = {},
+) {
+  const p = typeof plan === "string" ? MAINTENANCE_PLANS[plan] : plan;
+  const q = Math.max(0, Math.min(1, quality));
+  for (const { op, region } of p.steps) OPERATIONS[op](grid, region, q, rng);
+  const rest = settle ?? p.settle ?? 0;
+  for (let t = 0; t < rest; t++) {
+    grid.evaporateMoisture(1);
+    grid.stepThermal(1);
+  }
+  return grid;
+}
@@ -0,0 +1,86 @@
+// modes.mjs — Game modes: stones per end and mixed doubles placement
+//
+// Standard curling throws all eight stones per team. Mixed doubles gives
+// each team six: one is positioned on the centre line before the end
+// starts and five are delivered.
+
+import { ROCK_RADIUS, ROCKS_PER_TEAM, WORLD } from "./constants.mjs";
+
+export const GAME_MODES = {
+  standard: {
+    name: "Standard",
+    desc: "8 stones per team, free guard zone as set.",
+    rocksPerTeam: ROCKS_PER_TEAM,
+    deliveredPerTeam: ROCKS_PER_TEAM,
+  },
+  mixedDoubles: {
+    name: "Mixed doubles",
+    desc: "6 stones per team, 5 delivered, positioned stones.",
+    rocksPerTeam: 6,
+    deliveredPerTeam: 5,
+    // No stone may be removed from play by delivered stones 1-3
+    noRemovalStones: 3,
+  },
+};
+
+// Positioned stones: the house stone's back edge on the back of the
+// 4-foot, the guard on the centre line in front of the house. With the
+// power play both move to one side: the house stone's back edge on the tee
+// line at the 8-foot, the guard straight in front of it.
+const GUARD_X = -440;
+const POWER_PLAY_Y = WORLD.houseRadii[2];
+
+/**
+ * Where the two positioned stones go for a mixed doubles end.
+ *
+ * @param {number} powerPlay - 0 for the standard centre-line placement,
+ *   -1 or +1 for a power play to that side of the sheet (y)
+ * @returns {{ house: {x, y}, guard: {x, y} }}
+ */
+export function positionedStones(powerPlay = 0) {
+  const { houseCenter, houseRadii } = WORLD;
+  if (!powerPlay)
+    return {
+      house: { x: houseCenter.x - houseRadii[1] + ROCK_RADIUS, y: 0 },
+      guard: { x: GUARD_X, y: 0 },
+    };
+  const y = Math.sign(powerPlay) * POWER_PLAY_Y;
+  return {
+    house: { x: houseCenter.x + ROCK_RADIUS, y },
+    guard: { x: GUARD_X, y },
+  };
+}
+
+/**
+ * Which team chooses the placement for the next mixed doubles end: the
+ * team that didn't score, or after a blank end the team that delivered
+ * first in it.
+ *
+ * @param {{ scoringTeam: number, firstTeam: number }} prevEnd
+ */
+export function placementDecisionTeam({ scoringTeam, firstTeam }) {
+  return scoringTeam >= 0 ? 1 - scoringTeam : firstTeam;
+}
+
+// ============================================================
+// MATCH SETUP
+// ============================================================
+
+/** Ends per game offered by the match setup. */
+export const END_OPTIONS = [4, 6, 8, 10];
+
+/** Stones per team offered for standard games. */
+export const ROCKS_PER_TEAM_OPTIONS = [6, 8];
+
+/**
+ * A mode's rules for this match: standard games use the chosen stones per
+ * team, mixed doubles always its own six.
+ *
+ * @param {string} modeKey      - Key of GAME_MODES
+ * @param {number} rocksPerTeam - Match setting for standard games
+ */
+export function matchRules(modeKey, rocksPerTeam) {
+  const mode = GAME_MODES[modeKey];
+  if (mode.noRemovalStones || mode.rocksPerTeam === rocksPerTeam) return mode;
+  return { ...mode, rocksPerTeam, deliveredPerTeam: rocksPerTeam };
+}
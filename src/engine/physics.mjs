@@ -0,0 +1,523 @@
+// physics.mjs — Rock state, per-tick integration and collisions
+//
+// Shared by the game component and the headless simulator. Everything
+// here mutates plain rock objects and an IceGrid; no React, no Canvas.
+
+import {
+  PI,
+  ROCK_RADIUS,
+  WORLD,
+  CURL_SAMPLE_OFFSET,
+  SPIN_RATE,
+  LATERAL_RESPONSE,
+  DEFAULTS,
+} from "./constants.mjs";
+import { BRUSHES, DEFAULT_BRUSH, SIDE_OFFSET } from "./sweeping.mjs";
+
+export function createRock(team, id) {
+  return {
+    id,
+    team,
+    x: 0,
+    y: 0,
+    prevX: 0,
+    prevY: 0,
+    angle: 0,
+    velocity: 0,
+    spin: 1,
+    omega: 0,
+    paperTurns: 1.0,
+    inPlay: false,
+    active: false,
+    stopped: false,
+    hasContacted: false,
+    removeReason: null,
+    dbg: {
+      spinCurl: 0,
+      gradDrift: 0,
+      slopeY: 0,
+      slopeX: 0,
+      friction: 0,
+      vFactor: 0,
+      fL: 0,
+      fR: 0,
+      v: 0,
+      spin: 1,
+      omega: 0,
+    },
+  };
+}
+
+/** Delivery speed for a power percentage (0-100). */
+export function deliveryVelocity(power) {
+  return 1.8 + 2.6 * Math.pow(power / 100, 0.5);
+}
+
+/** Put a rock at the hack and send it toward the house. */
+export function launchRock(rock, { aim, power, spin, paperTurns }) {
+  rock.x = WORLD.hackPos;
+  rock.y = aim;
+  rock.prevX = rock.x;
+  rock.prevY = rock.y;
+  rock.angle = PI;
+  rock.velocity = deliveryVelocity(power);
+  rock.spin = spin;
+  rock.paperTurns = paperTurns;
+  rock.omega = spin * paperTurns * SPIN_RATE;
+  rock.inPlay = true;
+  rock.active = true;
+  rock.stopped = false;
+  rock.hasContacted = false;
+  rock.removeReason = null;
+  return rock;
+}
+
+/**
+ * Take a rock out of play. `reason` is "back_line", "sideboard", "hog_line"
+ * or "free_guard_zone".
+ */
+export function removeRock(rock, reason) {
+  rock.inPlay = false;
+  rock.active = false;
+  rock.velocity = 0;
+  rock.x = 800;
+  rock.removeReason = reason;
+}
+
+// Upper bound on impact events handled per tick, so a jammed cluster of
+// stones can't stall the loop.
+const MAX_CONTACTS_PER_TICK = 64;
+// Stones closer than this (beyond touching) count as in contact, so a
+// frozen stone passes on a push it receives.
+const CONTACT_SLOP = 0.01;
+// Gauss-Seidel sweeps per wave of the contact solver.
+const SOLVER_ITERATIONS = 12;
+// Closing speeds below this are treated as resting contact.
+const CLOSING_EPS = 1e-6;
+
+/**
+ * Fraction s in [0, 1] of a move at which two circles moving in straight
+ * lines first touch, or Infinity if they don't touch while approaching.
+ * (ax, ay) and (bx, by) are the starting centres, (adx, ady) and (bdx, bdy)
+ * the displacements over the move.
+ */
+export function timeOfImpact(ax, ay, adx, ady, bx, by, bdx, bdy) {
+  const rx = ax - bx,
+    ry = ay - by,
+    ddx = adx - bdx,
+    ddy = ady - bdy;
+  const qa = ddx * ddx + ddy * ddy;
+  const qb = 2 * (rx * ddx + ry * ddy);
+  if (qa === 0 || qb >= -CLOSING_EPS) return Infinity; // not closing
+  const qc = rx * rx + ry * ry - 4 * ROCK_RADIUS * ROCK_RADIUS;
+  if (qc <= 0) return 0; // already touching and closing
+  const disc = qb * qb - 4 * qa * qc;
+  if (disc < 0) return Infinity;
+  const s = (-qb - Math.sqrt(disc)) / (2 * qa);
+  return s <= 1 ? s : Infinity;
+}
+
+/**
+ * Resolve a set of simultaneous contacts between equal-mass rocks.
+ *
+ * Works in waves. The first wave holds the contacts that are closing right
+ * now; each is given a bounce of `restitution` × its closing speed, and all
+ * of them are relaxed together so e.g. a stone striking two others at once
+ * splits its momentum evenly. Contacts that only start closing because of
+ * that wave (the next stone in a frozen chain) form the following wave,
+ * while earlier contacts are held to non-penetration. Momentum therefore
+ * runs down a chain of touching stones instead of the chain moving as one.
+ *
+ * Each pair that pushed then grips through stone-on-stone friction (up to
+ * `stoneFriction` × the normal impulse), which is where spin is traded:
+ * a rotating shooter throws the struck stone off the line of centres and
+ * sets it turning the other way, and loses some of its own rotation.
+ *
+ * @param {Array} rocks        - All rocks
+ * @param {Array} pairs        - [i, j] index pairs currently touching
+ * @param {Object} T           - Tuning parameters (restitution,
+ *   stoneFriction, speedScale)
+ * @param {Function} [onContact] - (a, b, impulse) for each pair that pushed
+ *
+ * @returns {Set<number>} indices of rocks whose motion changed
+ */
+export function solveContacts(rocks, pairs, T, onContact) {
+  const vel = new Map();
+  const contacts = pairs.map(([i, j]) => {
+    for (const k of [i, j])
+      if (!vel.has(k)) {
+        const r = rocks[k];
+        vel.set(k, {
+          x: Math.cos(r.angle) * r.velocity,
+          y: Math.sin(r.angle) * r.velocity,
+        });
+      }
+    const a = rocks[i],
+      b = rocks[j];
+    const dx = b.x - a.x,
+      dy = b.y - a.y,
+      dist = Math.sqrt(dx * dx + dy * dy) || 1;
+    return {
+      i,
+      j,
+      nx: dx / dist,
+      ny: dy / dist,
+      bounce: null,
+      impulse: 0,
+    };
+  });
+
+  // Speed at which a closes on b along the normal
+  const closing = (c) => {
+    const va = vel.get(c.i),
+      vb = vel.get(c.j);
+    return (va.x - vb.x) * c.nx + (va.y - vb.y) * c.ny;
+  };
+
+  for (let wave = 0; wave < contacts.length; wave++) {
+    const fresh = contacts.filter(
+      (c) => c.bounce === null && closing(c) > CLOSING_EPS,
+    );
+    if (!fresh.length) break;
+    for (const c of fresh) c.bounce = T.restitution * closing(c);
+
+    const live = contacts.filter((c) => c.bounce !== null);
+    const acc = new Map(live.map((c) => [c, 0]));
+    for (let it = 0; it < SOLVER_ITERATIONS; it++) {
+      for (const c of live) {
+        const target = fresh.includes(c) ? c.bounce : 0;
+        const prev = acc.get(c);
+        const next = Math.max(0, prev + (closing(c) + target) / 2);
+        const d = next - prev;
+        if (d === 0) continue;
+        acc.set(c, next);
+        const va = vel.get(c.i),
+          vb = vel.get(c.j);
+        va.x -= d * c.nx;
+        va.y -= d * c.ny;
+        vb.x += d * c.nx;
+        vb.y += d * c.ny;
+      }
+    }
+    for (const c of live) c.impulse += acc.get(c);
+  }
+
+  // Tangential friction. omega is positive clockwise (same sense as
+  // rock.spin), so the contact-point surface speed of a is -omega·R along t.
+  const spinScale = ROCK_RADIUS / T.speedScale;
+  const changed = new Set();
+  for (const c of contacts) {
+    if (c.impulse <= 0) continue;
+    changed.add(c.i);
+    changed.add(c.j);
+    const a = rocks[c.i],
+      b = rocks[c.j],
+      va = vel.get(c.i),
+      vb = vel.get(c.j);
+    const tx = -c.ny,
+      ty = c.nx;
+    const slip =
+      (va.x - vb.x) * tx + (va.y - vb.y) * ty - (a.omega + b.omega) * spinScale;
+    // Equal solid discs: 1/m + 1/m + R²/I + R²/I = 6 per unit mass
+    const limit = T.stoneFriction * c.impulse;
+    const jt = Math.max(-limit, Math.min(limit, slip / 6));
+    va.x -= jt * tx;
+    va.y -= jt * ty;
+    vb.x += jt * tx;
+    vb.y += jt * ty;
+    a.omega += (2 * jt) / spinScale;
+    b.omega += (2 * jt) / spinScale;
+  }
+  for (const k of changed) {
+    const r = rocks[k],
+      v = vel.get(k);
+    r.velocity = Math.sqrt(v.x * v.x + v.y * v.y);
+    if (r.velocity > 0.01) r.angle = Math.atan2(v.y, v.x);
+    r.active = true;
+    r.stopped = false;
+    r.hasContacted = true;
+  }
+  if (onContact)
+    for (const c of contacts)
+      if (c.impulse > 0) onContact(rocks[c.i], rocks[c.j], c.impulse);
+  return changed;
+}
+
+/**
+ * Find and resolve every contact along the rocks' paths this tick.
+ *
+ * Each rock is treated as moving in a straight line from `from[i]` to its
+ * current position. Impacts are handled in time-of-impact order: all rocks
+ * advance to the earliest one, every touching pair is solved together
+ * (see solveContacts), and the rocks that were pushed spend the rest of the
+ * tick on their new headings. This finds every hit however far a stone
+ * moves per tick. Any overlap left over (e.g. from stones placed touching)
+ * is pushed apart at the end.
+ *
+ * @param {Array} rocks          - Rock objects, already moved for this tick
+ * @param {Object} [opts]
+ * @param {Function} [opts.onContact] - (a, b, impulse) for each impact
+ * @param {Array} [opts.from]    - {x, y} start of tick per rock; defaults
+ *   to the current positions (overlap-only)
+ * @param {number} [opts.dt]     - Tick length, used to redirect travel
+ *   after an impact
+ * @param {Object} [opts.T]      - Tuning parameters (see DEFAULTS)
+ */
+export function resolveCollisions(
+  rocks,
+  { onContact, from, dt = 0, T = DEFAULTS } = {},
+) {
+  const paths = rocks.map((r, i) => {
+    const f = from ? from[i] : r;
+    return { x: f.x, y: f.y, dx: r.x - f.x, dy: r.y - f.y };
+  });
+  let elapsed = 0,
+    hits = 0;
+
+  for (; hits < MAX_CONTACTS_PER_TICK; hits++) {
+    let first = Infinity;
+    for (let i = 0; i < rocks.length; i++) {
+      if (!rocks[i].inPlay) continue;
+      const p = paths[i];
+      for (let j = i + 1; j < rocks.length; j++) {
+        if (!rocks[j].inPlay) continue;
+        const q = paths[j];
+        first = Math.min(
+          first,
+          timeOfImpact(p.x, p.y, p.dx, p.dy, q.x, q.y, q.dx, q.dy),
+        );
+      }
+    }
+    if (first === Infinity) break;
+
+    // Advance everyone to the moment of impact
+    rocks.forEach((r, i) => {
+      const p = paths[i];
+      p.x += p.dx * first;
+      p.y += p.dy * first;
+      p.dx *= 1 - first;
+      p.dy *= 1 - first;
+      if (!r.inPlay) return;
+      r.x = p.x;
+      r.y = p.y;
+    });
+    elapsed += (1 - elapsed) * first;
+
+    const touching = [];
+    const reach = ROCK_RADIUS * 2 + CONTACT_SLOP;
+    for (let i = 0; i < rocks.length; i++) {
+      if (!rocks[i].inPlay) continue;
+      for (let j = i + 1; j < rocks.length; j++) {
+        if (!rocks[j].inPlay) continue;
+        const dx = rocks[j].x - rocks[i].x,
+          dy = rocks[j].y - rocks[i].y;
+        if (dx * dx + dy * dy <= reach * reach) touching.push([i, j]);
+      }
+    }
+    solveContacts(rocks, touching, T, onContact);
+
+    // Touching rocks spend the rest of the tick on their solved headings,
+    // so a pair whose paths closed only through curl drift can't re-trigger
+    const left = (1 - elapsed) * dt * T.speedScale;
+    for (const k of new Set(touching.flat())) {
+      const r = rocks[k];
+      paths[k].dx = Math.cos(r.angle) * r.velocity * left;
+      paths[k].dy = Math.sin(r.angle) * r.velocity * left;
+    }
+  }
+
+  rocks.forEach((r, i) => {
+    if (!r.inPlay || !hits) return;
+    r.x = paths[i].x + paths[i].dx;
+    r.y = paths[i].y + paths[i].dy;
+  });
+
+  separateOverlaps(rocks);
+}
+
+/** Push apart any rocks that still overlap, half the overlap each. */
+function separateOverlaps(rocks) {
+  for (let i = 0; i < rocks.length; i++) {
+    const a = rocks[i];
+    if (!a.inPlay) continue;
+    for (let j = i + 1; j < rocks.length; j++) {
+      const b = rocks[j];
+      if (!b.inPlay) continue;
+      const dx = a.x - b.x,
+        dy = a.y - b.y,
+        dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist < ROCK_RADIUS * 2 && dist > 0) {
+        const ol = ROCK_RADIUS * 2 - dist;
+        a.x += (dx / dist) * ol * 0.5;
+        a.y += (dy / dist) * ol * 0.5;
+        b.x -= (dx / dist) * ol * 0.5;
+        b.y -= (dy / dist) * ol * 0.5;
+      }
+    }
+  }
+}
+
+/**
+ * Advance every rock in play by one timestep.
+ *
+ * @param {Array} rocks      - Rock objects (see createRock)
+ * @param {IceGrid} grid     - Ice surface; worn and moistened in place
+ * @param {Object} T         - Tuning parameters (see DEFAULTS)
+ * @param {number} dt        - Timestep in seconds
+ * @param {Object} [hooks]
+ * @param {Function} [hooks.sweepEffort] - (rock) => sweeping effort on the
+ *                                        rock, 0 (none) to 1 (flat out)
+ * @param {Function} [hooks.sweepSide] - (rock) => side of the path the
+ *                                      sweepers work: +1 the thrower's
+ *                                      right (+y), -1 the left, 0 straight
+ *                                      ahead
+ * @param {string} [hooks.brush]       - Key of BRUSHES the sweepers use
+ *                                      (default DEFAULT_BRUSH)
+ * @param {Function} [hooks.onContact] - (a, b, impulse) for each impact
+ *
+ * @returns {boolean} true if any rock was still moving at the start of the tick
+ */
+export function physicsTick(
+  rocks,
+  grid,
+  T,
+  dt,
+  {
+    sweepEffort = () => 0,
+    sweepSide = () => 0,
+    brush: brushKey = DEFAULT_BRUSH,
+    onContact,
+  } = {},
+) {
+  const brush = BRUSHES[brushKey];
+  let anyMoving = false;
+  grid.evaporateMoisture(dt);
+  grid.stepThermal(dt);
+  const from = rocks.map((r) => ({ x: r.x, y: r.y }));
+  const moved = [];
+  for (const rock of rocks) {
+    if (!rock.inPlay || rock.velocity <= 0.02) {
+      if (rock.inPlay) {
+        rock.stopped = true;
+        rock.omega = 0;
+      }
+      continue;
+    }
+    anyMoving = true;
+    rock.stopped = false;
+    const effort = Math.max(0, Math.min(1, +sweepEffort(rock) || 0));
+    const friction = grid.sampleFriction(
+      rock.x,
+      rock.y,
+      T.baseFriction,
+      T.pebbleFrictionBonus,
+    );
+    const slope = grid.sampleSlope(rock.x, rock.y);
+    rock.velocity = Math.max(
+      0,
+      rock.velocity - friction * T.frictionDecel * dt,
+    );
+    if (effort > 0 && rock.velocity > 0.3)
+      rock.velocity += dt * T.sweepBoost * effort * brush.friction;
+    const v = rock.velocity,
+      vFactor = Math.max(0.3, Math.sqrt(v / 2));
+    // Sweeping ahead of the stone holds its line: it takes away part of the
+    // spin curl, on top of what the lower friction of swept ice does.
+    const spinCurl =
+      (rock.omega / SPIN_RATE) *
+      friction *
+      T.curlCoeff *
+      vFactor *
+      (1 - T.sweepStraighten * effort);
+    const perpX = -Math.sin(rock.angle) * CURL_SAMPLE_OFFSET,
+      perpY = Math.cos(rock.angle) * CURL_SAMPLE_OFFSET;
+    let fL = grid.sampleFriction(
+      rock.x + perpX,
+      rock.y + perpY,
+      T.baseFriction,
+      T.pebbleFrictionBonus,
+    );
+    let fR = grid.sampleFriction(
+      rock.x - perpX,
+      rock.y - perpY,
+      T.baseFriction,
+      T.pebbleFrictionBonus,
+    );
+    // Directional sweeping works one side of the path (+1 the thrower's
+    // right, +y going down the sheet). The friction it takes off that side
+    // steers the stone toward it through the gradient term below.
+    const side = effort > 0 ? Math.sign(+sweepSide(rock) || 0) : 0;
+    const steer = T.sweepSteer * effort * brush.friction;
+    if (side > 0) fR = Math.max(0.02, fR - steer);
+    if (side < 0) fL = Math.max(0.02, fL - steer);
+    const gradDrift = (fL - fR) * T.gradientCoeff * vFactor;
+    const slopeScale = Math.min(1, v * 2);
+    const slopeYF = slope.sy * T.slopeGravity * slopeScale,
+      slopeXF = slope.sx * T.slopeGravity * slopeScale;
+    rock.dbg = {
+      spinCurl,
+      gradDrift,
+      slopeY: slopeYF,
+      slopeX: slopeXF,
+      friction,
+      vFactor,
+      fL,
+      fR,
+      v,
+      spin: rock.spin,
+      omega: rock.omega,
+    };
+    // Spin curl and gradient drift push square to the direction of travel
+    // (toward +y for a stone heading down the sheet); slope pulls along the
+    // sheet's own axes. All of them bend the velocity vector, so the stone
+    // turns and carries its sideways speed into any collision.
+    const k = LATERAL_RESPONSE / T.speedScale,
+      lateral = (spinCurl + gradDrift) * k;
+    const vx =
+      Math.cos(rock.angle) * rock.velocity +
+      (Math.sin(rock.angle) * lateral - slopeXF * 0.5) * dt;
+    const vy =
+      Math.sin(rock.angle) * rock.velocity +
+      (-Math.cos(rock.angle) * lateral + slopeYF * k) * dt;
+    rock.velocity = Math.sqrt(vx * vx + vy * vy);
+    if (rock.velocity > 0) rock.angle = Math.atan2(vy, vx);
+    rock.x += Math.cos(rock.angle) * rock.velocity * dt * T.speedScale;
+    rock.y += Math.sin(rock.angle) * rock.velocity * dt * T.speedScale;
+    // Running-band friction winds the rotation down
+    const spinLoss = friction * T.spinDecay * dt;
+    rock.omega =
+      Math.sign(rock.omega) * Math.max(0, Math.abs(rock.omega) - spinLoss);
+    grid.applyWear(rock.x, rock.y, dt, T.wearRate);
+    if (effort > 0)
+      grid.applySweep(
+        rock.x + side * Math.sin(rock.angle) * SIDE_OFFSET,
+        rock.y - side * Math.cos(rock.angle) * SIDE_OFFSET,
+        dt,
+        effort,
+        T.wearRate,
+        brush,
+      );
+    moved.push(rock);
+  }
+  resolveCollisions(rocks, { onContact, from, dt, T });
+  for (const rock of moved) {
+    if (!rock.inPlay) continue;
+    if (rock.x - ROCK_RADIUS < WORLD.backLine) {
+      removeRock(rock, "back_line");
+      continue;
+    }
+    if (Math.abs(rock.y) + ROCK_RADIUS > WORLD.sheetHalfWidth) {
+      removeRock(rock, "sideboard");
+      continue;
+    }
+    if (
+      rock.velocity <= 0.02 &&
+      rock.x > WORLD.hogLine - ROCK_RADIUS &&
+      !rock.hasContacted
+    ) {
+      removeRock(rock, "hog_line");
+      continue;
+    }
+  }
+  return anyMoving;
+}
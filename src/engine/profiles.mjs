@@ -0,0 +1,427 @@
+// profiles.mjs — Preset ice configurations, described as data
+//
+// A profile lists the features of a sheet rather than code to build it:
+//
+//   {
+//     name: "Arena", desc: "…",
+//     base: { temperature: -1.5 },        // values for every cell
+//     ice: { format: "curl-ice", … },     // an ice file laid down first
+//     features: [                         // applied in order, ICE_FEATURES
+//       { type: "trough", y: 25, halfWidth: 8, temperature: -2 },
+//     ],
+//     pipes: true,                        // brine pipes hold the result
+//   }
+//
+// Features are placed in world units, so one interpreter (shapeIce) builds
+// a profile at any grid resolution. A feature parameter may be a random
+// draw, { random: [lo, hi] } or { pick: [a, b, …] }, and a feature with
+// `chance` appears on that share of sheets. Draws come from the `rng`
+// passed in, in the order the keys are written (`chance` included), and
+// every one is drawn whether the feature appears or not, so a seed
+// reproduces the sheet.
+//
+// Profiles are plain JSON, so more can be loaded from a profile pack:
+//
+//   { "format": "curl-ice-profiles", "version": 1,
+//     "profiles": { "key": { "name": "…", "features": [ … ] } } }
+
+import {
+  WORLD,
+  CELL_H,
+  GRID_RESOLUTIONS,
+  DEFAULT_RESOLUTION,
+} from "./constants.mjs";
+import { CELL_FIELDS, IceGrid } from "./ice.mjs";
+import { importIce } from "./icefile.mjs";
+import { createRng } from "./random.mjs";
+
+export const ICE_PROFILE_PACK_FORMAT = "curl-ice-profiles";
+
+/** Version of the profile pack format loadIceProfiles reads. */
+export const ICE_PROFILE_PACK_VERSION = 1;
+
+// Pebble height stays within this range however features stack
+const MAX_PEBBLE = 1.3;
+
+// Calls fn(i, x, y) for every cell of the grid, with its centre in world
+// units
+function forCells(grid, fn) {
+  for (let c = 0; c < grid.cols; c++)
+    for (let r = 0; r < grid.rows; r++)
+      fn(grid.index(c, r), grid.cellX(c), grid.cellY(r));
+}
+
+// 1 on the band's centre line fading to 0 at its edges (or 1 across it
+// when not tapered); 0 outside
+function band(y, centre, halfWidth, taper = true) {
+  const d = Math.abs(y - centre);
+  if (d >= halfWidth) return 0;
+  return taper ? 1 - d / halfWidth : 1;
+}
+
+/**
+ * Feature types a profile can list, each fn(grid, params). Slope grades
+ * are in the units of the grid's slope fields.
+ */
+export const ICE_FEATURES = {
+  // Sheet dished toward (grade > 0) or crowned away from the line at `y`,
+  // falling by `grade` a half sheet-width either side of it
+  dish: (grid, { grade, y: centre = 0 }) => {
+    forCells(grid, (i, x, y) => {
+      grid.slopeY[i] -= ((y - centre) / WORLD.sheetHalfWidth) * grade;
+    });
+  },
+  // Band along the sheet at `y` that is colder, lower-pebbled and tilted
+  // across by the amounts given, e.g. over a run of brine pipe
+  trough: (
+    grid,
+    { y, halfWidth, temperature = 0, pebble = 0, grade = 0, taper = false },
+  ) => {
+    forCells(grid, (i, x, yW) => {
+      const d = band(yW, y, halfWidth, taper);
+      if (!d) return;
+      grid.temperature[i] += temperature * d;
+      grid.pebbleHeight[i] += pebble * d;
+      grid.slopeY[i] += grade * d;
+    });
+  },
+  // Fall in one corner of the sheet, toward the middle. The corner is the
+  // `reach` nearest the house or hack end (a number, or { house, hack }
+  // for each end), more than `offset` out on `side` (1 = +y, -1 = -y). It
+  // falls across by `grade` and along the sheet by `along` times that.
+  corner: (grid, { end, side, reach, offset, grade, along = 0 }) => {
+    const house = end === "house";
+    const length = typeof reach === "object" ? reach[end] : reach;
+    forCells(grid, (i, x, y) => {
+      const inEnd = house
+        ? x < WORLD.sheetEnd + length
+        : x > WORLD.sheetStart - length;
+      if (!inEnd || y * side <= offset) return;
+      grid.slopeY[i] -= side * grade;
+      grid.slopeX[i] -= (house ? 1 : -1) * grade * along;
+    });
+  },
+  // Pebble worn down by `depth` along a running path at `y`, fading to
+  // nothing `halfWidth` either side
+  wear: (grid, { y, halfWidth, depth }) => {
+    forCells(grid, (i, x, yW) => {
+      grid.pebbleHeight[i] -= depth * band(yW, y, halfWidth);
+    });
+  },
+};
+
+// The parameters each feature takes, and what each may be: "number" (a
+// finite number), "perEnd" (a number, or { house, hack } numbers) or the
+// list of values allowed. Numbers may also be { random } draws, and any
+// parameter a { pick } of values it may be.
+const FEATURE_PARAMS = {
+  dish: { required: { grade: "number" }, optional: { y: "number" } },
+  trough: {
+    required: { y: "number", halfWidth: "number" },
+    optional: {
+      temperature: "number",
+      pebble: "number",
+      grade: "number",
+      taper: [true, false],
+    },
+  },
+  corner: {
+    required: {
+      end: ["house", "hack"],
+      side: [1, -1],
+      reach: "perEnd",
+      offset: "number",
+      grade: "number",
+    },
+    optional: { along: "number" },
+  },
+  wear: {
+    required: { y: "number", halfWidth: "number", depth: "number" },
+    optional: {},
+  },
+};
+
+// Whether a feature parameter is of the kind given in FEATURE_PARAMS
+function isParam(value, kind) {
+  const one = (v) =>
+    Array.isArray(kind)
+      ? kind.includes(v)
+      : Number.isFinite(v) ||
+        (kind === "perEnd" &&
+          Number.isFinite(v?.house) &&
+          Number.isFinite(v?.hack));
+  if (value?.pick !== undefined)
+    return (
+      Array.isArray(value.pick) &&
+      value.pick.length > 0 &&
+      value.pick.every(one)
+    );
+  if (value?.random !== undefined)
+    return (
+      !Array.isArray(kind) &&
+      Array.isArray(value.random) &&
+      value.random.length === 2 &&
+      value.random.every(Number.isFinite)
+    );
+  return one(value);
+}
+
+// Fields an `ice` base copies; moisture is left to dry
+const ICE_BASE_FIELDS = [
+  "pebbleHeight",
+  "temperature",
+  "slopeX",
+  "slopeY",
+  "brine",
+];
+
+// Ice files read once per profile, keyed by the file object
+const iceSources = new WeakMap();
+
+// Lay a saved sheet over the grid, resampling it if the sizes differ
+function layIce(grid, ice) {
+  if (!iceSources.has(ice)) iceSources.set(ice, importIce(ice));
+  const source = iceSources.get(ice);
+  if (grid.cols === source.cols && grid.rows === source.rows) {
+    for (const f of ICE_BASE_FIELDS) grid[f].set(source[f]);
+    return;
+  }
+  for (let r = 0; r < grid.rows; r++)
+    for (let c = 0; c < grid.cols; c++) {
+      const i = grid.index(c, r),
+        x = grid.cellX(c),
+        y = grid.cellY(r);
+      for (const f of ICE_BASE_FIELDS.slice(0, 4))
+        grid[f][i] = source.sample(f, x, y);
+      // Pipes are there or not: take the nearest cell's
+      grid.brine[i] = source.brine[source.index(...source.toGrid(x, y))];
+    }
+}
+
+// A parameter's value, drawing from rng if it is random
+function resolve(value, rng) {
+  if (Array.isArray(value?.random)) {
+    const [lo, hi] = value.random;
+    return lo + rng() * (hi - lo);
+  }
+  if (Array.isArray(value?.pick))
+    return value.pick[Math.floor(rng() * value.pick.length)];
+  return value;
+}
+
+/**
+ * Shape a fresh grid in place to a profile, at whatever resolution it has.
+ * Random parameters draw from `rng`.
+ *
+ * @param {IceGrid} grid
+ * @param {Object} profile - See the top of this file
+ * @param {Function} rng
+ */
+export function shapeIce(grid, profile, rng) {
+  if (profile.ice) layIce(grid, profile.ice);
+  for (const [field, value] of Object.entries(profile.base ?? {}))
+    grid[field].fill(value);
+  for (const { type, ...spec } of profile.features ?? []) {
+    let appears = true;
+    const params = {};
+    for (const [key, value] of Object.entries(spec))
+      if (key === "chance") appears = rng() > 1 - value;
+      else params[key] = resolve(value, rng);
+    if (appears) ICE_FEATURES[type](grid, params);
+  }
+  if (profile.pipes) grid.brine.set(grid.temperature);
+  const { pebbleHeight } = grid;
+  for (let i = 0; i < grid.size; i++)
+    pebbleHeight[i] = Math.max(0, Math.min(MAX_PEBBLE, pebbleHeight[i]));
+}
+
+// The built-in sheets centre their dish and centre wear half a coarse cell
+// up the sheet, where they have always been
+const CENTRE = CELL_H / 2;
+
+export const ICE_PROFILES = {
+  championship: {
+    name: "Championship",
+    desc: "Flat, consistent, fresh pebble.",
+  },
+  club: {
+    name: "Club Ice",
+    desc: "Slight dish, mild center wear.",
+    features: [
+      { type: "dish", y: CENTRE, grade: 0.0012 },
+      { type: "wear", y: CENTRE, halfWidth: 24.6, depth: 0.12 },
+    ],
+  },
+  arena: {
+    name: "Arena",
+    desc: "Cold ice, brine trough, corner slope.",
+    base: { temperature: -1.5 },
+    features: [
+      {
+        type: "trough",
+        y: 25,
+        halfWidth: 8,
+        temperature: -2,
+        pebble: -0.12,
+        grade: 0.0012,
+      },
+      {
+        type: "corner",
+        end: "house",
+        side: 1,
+        reach: 180,
+        offset: 40,
+        grade: 0.003,
+        along: 1 / 3,
+      },
+    ],
+    pipes: true,
+  },
+  swingy: {
+    name: "Swingy",
+    desc: "Heavy dish, thick pebble, big curl.",
+    base: { pebbleHeight: 1.2 },
+    features: [{ type: "dish", y: CENTRE, grade: 0.003 }],
+  },
+  discovery: {
+    name: "Discovery",
+    desc: "Random hidden features.",
+    features: [
+      { type: "dish", y: CENTRE, grade: { random: [-0.0009, 0.0021] } },
+      {
+        type: "trough",
+        y: { random: [-65, 65] },
+        halfWidth: { random: [5, 17] },
+        temperature: -1.5,
+        pebble: -0.08,
+        grade: { random: [-0.0015, 0.0015] },
+        chance: 0.65,
+        taper: true,
+      },
+      {
+        type: "corner",
+        chance: 0.6,
+        end: { pick: ["hack", "house"] },
+        side: { pick: [-1, 1] },
+        reach: { house: 200, hack: 250 },
+        offset: 30,
+        grade: { random: [0.001, 0.005] },
+        along: 0.3,
+      },
+      {
+        type: "wear",
+        y: { random: [-15, 15] },
+        halfWidth: 15,
+        depth: { random: [0.05, 0.25] },
+      },
+    ],
+  },
+};
+
+// Keys of the built-in profiles, which a pack can't replace
+const BUILT_IN_KEYS = new Set(Object.keys(ICE_PROFILES));
+
+/**
+ * Add a profile alongside the built-in ones (e.g. a sheet made in the ice
+ * maker), so createIce and the game's profile picker offer it. Throws for
+ * a key every object has, such as "__proto__" or "constructor".
+ *
+ * @param {string} key - Key for ICE_PROFILES; an existing entry is replaced
+ * @param {{ name, desc, base, ice, features, pipes }} profile
+ */
+export function addIceProfile(key, profile) {
+  if (key in Object.prototype)
+    throw new Error(`"${key}" can't be an ice profile key`);
+  ICE_PROFILES[key] = profile;
+  return key;
+}
+
+// Throws if a pack's profile isn't one shapeIce can build
+function checkProfile(key, profile) {
+  const bad = (what) => {
+    throw new Error(`Ice profile "${key}" ${what}`);
+  };
+  if (key in Object.prototype) bad("has a reserved key");
+  if (BUILT_IN_KEYS.has(key)) bad("would replace a built-in profile");
+  if (typeof profile?.name !== "string") bad("has no name");
+  if (profile.desc !== undefined && typeof profile.desc !== "string")
+    bad("has a desc that isn't text");
+  for (const [field, value] of Object.entries(profile.base ?? {})) {
+    if (!Object.hasOwn(CELL_FIELDS, field))
+      bad(`sets an unknown field "${field}"`);
+    if (!Number.isFinite(value)) bad(`sets "${field}" to a non-number`);
+  }
+  if (profile.features !== undefined && !Array.isArray(profile.features))
+    bad("should list its features in an array");
+  for (const [n, feature] of (profile.features ?? []).entries()) {
+    const type = feature?.type;
+    if (!Object.hasOwn(FEATURE_PARAMS, type))
+      bad(`has an unknown feature "${type}"`);
+    const { required, optional } = FEATURE_PARAMS[type];
+    const kinds = { ...required, ...optional };
+    const where = `feature ${n + 1} (${type})`;
+    for (const param of Object.keys(required))
+      if (!Object.hasOwn(feature, param)) bad(`${where} needs "${param}"`);
+    for (const [param, value] of Object.entries(feature)) {
+      if (param === "type") continue;
+      if (param === "chance") {
+        if (!(Number.isFinite(value) && value >= 0 && value <= 1))
+          bad(`${where} needs a chance from 0 to 1`);
+      } else if (!Object.hasOwn(kinds, param))
+        bad(`${where} has an unknown parameter "${param}"`);
+      else if (!isParam(value, kinds[param]))
+        bad(`${where} has a bad "${param}"`);
+    }
+  }
+  if (profile.pipes !== undefined && typeof profile.pipes !== "boolean")
+    bad("should set pipes to true or false");
+  if (profile.ice) importIce(profile.ice);
+}
+
+/**
+ * Load a profile pack, adding its profiles to ICE_PROFILES. Throws an
+ * Error saying what is wrong if the pack can't be read; none of its
+ * profiles are added then.
+ *
+ * @param {Object|string} pack - Profile pack object, or its JSON text
+ * @returns {string[]} Keys of the profiles added
+ */
+export function loadIceProfiles(pack) {
+  const data = typeof pack === "string" ? JSON.parse(pack) : pack;
+  if (data?.format !== ICE_PROFILE_PACK_FORMAT)
+    throw new Error("Not an ice profile pack");
+  if (!Number.isInteger(data.version))
+    throw new Error("Profile pack has no version");
+  if (data.version > ICE_PROFILE_PACK_VERSION)
+    throw new Error(
+      `Profile pack version ${data.version} is newer than this game reads ` +
+        `(${ICE_PROFILE_PACK_VERSION})`,
+    );
+  const entries = Object.entries(data.profiles ?? {});
+  if (!entries.length) throw new Error("Profile pack has no profiles");
+  for (const [key, profile] of entries) checkProfile(key, profile);
+  return entries.map(([key, profile]) => addIceProfile(key, profile));
+}
+
+/**
+ * Build a fresh grid shaped by the given profile (unknown keys stay flat).
+ * `rng` feeds randomly generated profiles; pass createRng(seed) to replay one.
+ * `resolution` is a key of GRID_RESOLUTIONS. A sheet with pipes starts with
+ * its heat settled (see IceGrid#settleHeat).
+ */
+export function createIce(
+  profileKey,
+  rng = createRng(1),
+  resolution = DEFAULT_RESOLUTION,
+) {
+  const { cols, rows } = GRID_RESOLUTIONS[resolution];
+  const grid = new IceGrid(cols, rows);
+  const profile = Object.hasOwn(ICE_PROFILES, profileKey)
+    ? ICE_PROFILES[profileKey]
+    : null;
+  if (profile) shapeIce(grid, profile, rng);
+  grid.refresh();
+  // Pipes have been holding the sheet before play, so its heat has settled
+  if (profile?.pipes) grid.settleHeat();
+  return grid;
+}
@@ -0,0 +1,38 @@
+// random.mjs — Seedable PRNG for reproducible ice and deliveries
+//
+// Park–Miller minimal standard generator (the same one the renderer uses
+// for pebble dots). Every random draw in the engine goes through one of
+// these so a game can be replayed from its seed.
+
+const MODULUS = 2147483647;
+
+/** Fold any number into the valid seed range [1, MODULUS - 1]. */
+export function normalizeSeed(seed) {
+  let s = Math.floor(Math.abs(Number(seed) || 0)) % MODULUS;
+  if (s === 0) s = 1;
+  return s;
+}
+
+/** A fresh seed for a new session (the only non-reproducible draw). */
+export function randomSeed() {
+  return normalizeSeed(Math.random() * MODULUS);
+}
+
+/**
+ * Create a generator. Call it for a float in [0, 1), like Math.random.
+ * `rng.seed` is the seed it was created with.
+ */
+export function createRng(seed) {
+  let state = normalizeSeed(seed);
+  const rng = () => {
+    state = (state * 16807) % MODULUS;
+    return (state - 1) / (MODULUS - 1);
+  };
+  rng.seed = normalizeSeed(seed);
+  return rng;
+}
+
+/** Derive an independent generator from a parent stream. */
+export function forkRng(rng) {
+  return createRng(1 + Math.floor(rng() * (MODULUS - 2)));
+}
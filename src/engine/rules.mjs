@@ -0,0 +1,287 @@
+// rules.mjs — Game rules that read rock positions (measuring and scoring,
+// hammer, sweeping, Last Stone Draw, free guard zone)
+
+import { ROCK_RADIUS, WORLD } from "./constants.mjs";
+import { removeRock } from "./physics.mjs";
+
+/** Distance from a rock's center to the button. */
+export function distToButton(rock) {
+  return Math.sqrt(
+    (rock.x - WORLD.houseCenter.x) ** 2 + (rock.y - WORLD.houseCenter.y) ** 2,
+  );
+}
+
+/** True if any part of a rock at distance `d` touches the 12-foot. */
+export function isInHouse(d) {
+  return d <= WORLD.houseRadii[3] + ROCK_RADIUS;
+}
+
+/** True if a rock at distance `d` only bites the 12-foot with its edge. */
+export function isBiter(d) {
+  return isInHouse(d) && d > WORLD.houseRadii[3];
+}
+
+/**
+ * Stones whose distances to the button differ by no more than this (sheet
+ * units) can't be separated by a measure: neither is closer.
+ */
+export const MEASURE_TIE = 0.05;
+
+/** Opposing stones closer together than this get a visual measure. */
+export const MEASURE_CLOSE = 3;
+
+/**
+ * Measure and count the end. The team with the rock closest to the button
+ * scores one point for each of its rocks closer than the opponent's
+ * closest. If the two teams' closest rocks tie on the measure the end is
+ * blank; a scoring team's rock tied with the opponent's closest doesn't
+ * count.
+ *
+ * @returns {{ scoringTeam: number, pts: number, tie: boolean,
+ *   stones: Array, measures: Array }} scoringTeam -1 = blank end.
+ *   `stones` lists every rock in the house, closest first, as
+ *   { id, team, dist, biter, counts, reason } where reason is "shot",
+ *   "counts", "tied" or "beaten". `measures` are the opposing pairs that
+ *   decided the count and were close enough to need a measure:
+ *   { ids: [a, b], diff }.
+ */
+export function scoreEnd(rocks) {
+  const stones = [];
+  for (const r of rocks) {
+    if (!r.inPlay) continue;
+    const d = distToButton(r);
+    if (isInHouse(d))
+      stones.push({ id: r.id, team: r.team, dist: d, biter: isBiter(d) });
+  }
+  stones.sort((a, b) => a.dist - b.dist);
+
+  // Each team's closest stone
+  const best = [null, null];
+  for (const st of stones) if (!best[st.team]) best[st.team] = st;
+
+  let scoringTeam = -1,
+    tie = false;
+  const shot = stones[0];
+  if (shot) {
+    const other = best[1 - shot.team];
+    tie = !!other && other.dist - shot.dist <= MEASURE_TIE;
+    if (!tie) scoringTeam = shot.team;
+  }
+
+  let pts = 0;
+  for (const st of stones) {
+    const rival = best[1 - st.team];
+    const clear = !rival || rival.dist - st.dist > MEASURE_TIE;
+    st.counts = st.team === scoringTeam && clear;
+    if (st.counts) pts++;
+    st.reason =
+      st === shot && !tie
+        ? "shot"
+        : st.counts
+          ? "counts"
+          : rival && Math.abs(rival.dist - st.dist) <= MEASURE_TIE
+            ? "tied"
+            : "beaten";
+  }
+
+  // The deciding comparisons: for a tie, the two shot stones; otherwise the
+  // opponent's closest against the scoring team's stones either side of it.
+  const measures = [];
+  const addMeasure = (a, b) => {
+    const diff = Math.abs(a.dist - b.dist);
+    if (diff < MEASURE_CLOSE) measures.push({ ids: [a.id, b.id], diff });
+  };
+  if (tie) addMeasure(shot, best[1 - shot.team]);
+  else if (shot && best[1 - scoringTeam]) {
+    const rival = best[1 - scoringTeam];
+    const own = stones.filter((st) => st.team === scoringTeam);
+    addMeasure(own.filter((st) => st.counts).pop(), rival);
+    const outside = own.find((st) => !st.counts);
+    if (outside) addMeasure(outside, rival);
+  }
+
+  return { scoringTeam, pts, tie, stones, measures };
+}
+
+/**
+ * Who has hammer (the last stone) in the next end. A team that scores
+ * gives it up, so after a steal the team that had it keeps it; after a
+ * blank end it stays where it was.
+ *
+ * @param {number} hammer       - Team with hammer in the end just played
+ * @param {number} scoringTeam  - From scoreEnd; -1 for a blank end
+ */
+export function nextHammer(hammer, scoringTeam) {
+  return scoringTeam >= 0 ? 1 - scoringTeam : hammer;
+}
+
+/**
+ * How the game stands once an end is scored. It runs to the scheduled
+ * ends; a game level after them goes to extra ends, one at a time, until
+ * an end is scored.
+ *
+ * @param {Array<Array<number>>} scores - Each team's points, end by end
+ * @param {number} totalEnds            - Ends scheduled
+ * @returns {{ winner: number, concededBy: number, end: number }|null}
+ *   null while the game goes on; concededBy is -1 for a game played out
+ */
+export function gameResult(scores, totalEnds) {
+  const end = scores[0].length;
+  const [t0, t1] = scores.map((s) => s.reduce((a, b) => a + b, 0));
+  if (end < totalEnds || t0 === t1) return null;
+  return { winner: t0 > t1 ? 0 : 1, concededBy: -1, end };
+}
+
+/**
+ * The result when `team` concedes during `end`: the game is over at once
+ * and the end in progress isn't scored.
+ */
+export function concedeGame(team, end) {
+  return { winner: 1 - team, concededBy: team, end };
+}
+
+// ============================================================
+// SWEEPING
+// ============================================================
+
+/** Slowest speed at which a stone counts as moving for sweeping. */
+const SWEEPABLE_SPEED = 0.02;
+
+/**
+ * Whether `team` may sweep `rock` while `deliveringTeam` delivers: in front
+ * of the tee line only the delivering team sweeps, and only its own moving
+ * stones; behind it either team may sweep any moving stone.
+ */
+export function maySweep(rock, team, deliveringTeam) {
+  if (!rock.inPlay || rock.velocity <= SWEEPABLE_SPEED) return false;
+  if (rock.x < WORLD.tLine) return true;
+  return team === deliveringTeam && rock.team === team;
+}
+
+/**
+ * The stone `team` is sweeping, if any: the fastest it may sweep. The
+ * delivering team goes for its own stones first; the other team is there
+ * to sweep opposition stones out the back.
+ *
+ * @param {Array} rocks
+ * @param {number} team           - Team holding the brooms
+ * @param {number} deliveringTeam - Team whose delivery is in progress
+ * @returns {Object|null} rock
+ */
+export function sweepTarget(rocks, team, deliveringTeam) {
+  const allowed = rocks.filter((r) => maySweep(r, team, deliveringTeam));
+  let pool = allowed.filter((r) => r.team !== team);
+  if (team === deliveringTeam) {
+    const own = allowed.filter((r) => r.team === team);
+    pool = own.length ? own : allowed;
+  }
+  return pool.reduce((m, r) => (!m || r.velocity > m.velocity ? r : m), null);
+}
+
+// ============================================================
+// LAST STONE DRAW
+// ============================================================
+
+/**
+ * Distance recorded for a draw that finishes out of play or outside the
+ * house: worse than any stone that could count.
+ */
+export const LSD_MISS = WORLD.houseRadii[3] + ROCK_RADIUS * 2;
+
+/** Measure one Last Stone Draw the same way the house is measured. */
+export function measureDraw(rock) {
+  if (!rock.inPlay) return LSD_MISS;
+  const d = distToButton(rock);
+  return isInHouse(d) ? d : LSD_MISS;
+}
+
+/**
+ * Decide first-end hammer from the Last Stone Draw. The shorter total
+ * wins; equal totals go to the better single draw.
+ *
+ * @param {Array<Array<number>>} draws - Each team's measured draws
+ * @returns {{ draws, totals: number[], hammer: number }} hammer -1 if the
+ *   draws can't separate the teams (toss a coin)
+ */
+export function lastStoneDraw(draws) {
+  const totals = draws.map((ds) => ds.reduce((a, b) => a + b, 0));
+  const best = draws.map((ds) => Math.min(...ds));
+  const pick = ([a, b]) => (a < b ? 0 : b < a ? 1 : -1);
+  const byTotal = pick(totals);
+  return {
+    draws,
+    totals,
+    hammer: byTotal >= 0 ? byTotal : pick(best),
+  };
+}
+
+// ============================================================
+// FREE GUARD ZONE
+// ============================================================
+
+/** Default number of stones per end the free guard zone protects (5-rock rule). */
+export const FREE_GUARD_ZONE_ROCKS = 5;
+
+/**
+ * True if a rock in play rests in the free guard zone: past the hog line,
+ * short of the tee line, and not touching the house.
+ */
+export function isInFreeGuardZone(rock) {
+  return (
+    rock.inPlay &&
+    rock.x < WORLD.hogLine &&
+    rock.x > WORLD.tLine &&
+    !isInHouse(distToButton(rock))
+  );
+}
+
+/**
+ * Take a snapshot just before a delivery. Records every rock's state and
+ * which opposition guards the rule protects for this stone.
+ *
+ * @param {Array} rocks          - All rocks, before the delivery is launched
+ * @param {number} team          - Team about to deliver
+ * @param {number} stoneIndex    - Stones already delivered this end (0-based)
+ * @param {number} fgzRocks      - Stones covered by the rule (4 or 5; 0 = off)
+ * @param {Object} [opts]
+ * @param {boolean} [opts.anyStone] - Protect every stone in play, either
+ *   team's, anywhere (the mixed doubles version of the rule)
+ */
+export function freeGuardZoneSnapshot(
+  rocks,
+  team,
+  stoneIndex,
+  fgzRocks,
+  { anyStone = false } = {},
+) {
+  const active = stoneIndex < fgzRocks;
+  const guarded = anyStone
+    ? (r) => r.inPlay
+    : (r) => r.team !== team && isInFreeGuardZone(r);
+  return {
+    fgzRocks,
+    protectedIds: active ? rocks.filter(guarded).map((r) => r.id) : [],
+    saved: rocks.map((r) => ({ ...r })),
+  };
+}
+
+/**
+ * Apply the rule once a delivery has come to rest. If a protected guard was
+ * taken out of play, every other rock goes back where it was before the
+ * delivery and the delivered stone is removed ("free_guard_zone").
+ *
+ * @returns {Array|null} ids of the guards that were illegally removed, or
+ *   null if the delivery was legal
+ */
+export function enforceFreeGuardZone(rocks, snapshot, delivered) {
+  const removed = snapshot.protectedIds.filter(
+    (id) => !rocks.find((r) => r.id === id)?.inPlay,
+  );
+  if (!removed.length) return null;
+  for (const saved of snapshot.saved) {
+    const rock = rocks.find((r) => r.id === saved.id);
+    if (rock && rock !== delivered) Object.assign(rock, saved);
+  }
+  removeRock(delivered, "free_guard_zone");
+  return removed;
+}
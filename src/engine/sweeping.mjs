@@ -0,0 +1,97 @@
+// sweeping.mjs — Sweeping effort from stroke cadence, with sweeper fatigue
+//
+// Every tap is one brush stroke. Effort (0-1) follows the stroke rate over
+// the last STROKE_WINDOW seconds, so tapping faster sweeps harder. Hard
+// sweeping builds fatigue, which takes away effort until the sweeper eases
+// off. Time advances with the physics steps, so a given series of strokes
+// gives the same effort whatever the frame rate.
+
+/** Seconds of recent strokes that set the cadence. */
+export const STROKE_WINDOW = 1;
+
+/** Strokes per second for full effort. */
+export const FULL_CADENCE = 6;
+
+/** Time constant (s) for effort to follow a change in cadence. */
+export const EFFORT_RESPONSE = 0.2;
+
+/** Seconds of full effort to reach full fatigue. */
+export const FATIGUE_TIME = 10;
+
+/** Seconds of rest to recover from full fatigue. */
+export const RECOVERY_TIME = 20;
+
+/** Share of effort lost at full fatigue. */
+export const FATIGUE_LOSS = 0.5;
+
+/**
+ * Brush heads. `friction` scales how much friction the brush takes off the
+ * ice under it (the velocity boost and the side drop of directional
+ * sweeping); `wear` and `moisture` scale the pebble it scrubs away and the
+ * film of water it leaves in the ice grid.
+ */
+export const BRUSHES = {
+  corn: {
+    name: "Corn broom",
+    desc: "Straw slaps break the pebble down but warm the ice least.",
+    friction: 0.7,
+    wear: 1.8,
+    moisture: 0.5,
+  },
+  push: {
+    name: "Push broom",
+    desc: "Hair bristles: gentle on the pebble, middling heat.",
+    friction: 0.85,
+    wear: 0.5,
+    moisture: 0.7,
+  },
+  fabric: {
+    name: "Fabric pad",
+    desc: "Modern synthetic pad: the most heat and moisture.",
+    friction: 1,
+    wear: 1,
+    moisture: 1,
+  },
+};
+
+export const DEFAULT_BRUSH = "fabric";
+
+/**
+ * How far (sheet units) to the side of the stone's centre a directional
+ * sweep works: just outside its running edge, about one ice cell across.
+ */
+export const SIDE_OFFSET = 10;
+
+export function createSweeper() {
+  return { time: 0, strokes: [], effort: 0, fatigue: 0 };
+}
+
+/** Record one brush stroke at the sweeper's current time. */
+export function addStroke(sweeper) {
+  sweeper.strokes.push(sweeper.time);
+}
+
+/**
+ * Advance the sweeper by one timestep.
+ *
+ * @param {Object} sweeper - From createSweeper
+ * @param {number} dt      - Timestep in seconds
+ * @param {number} [cadence] - Strokes per second to sweep at instead of the
+ *   recorded strokes (the headless simulator's steady sweeper)
+ * @returns {number} effort in [0, 1]
+ */
+export function stepSweeper(sweeper, dt, cadence) {
+  sweeper.time += dt;
+  const { strokes } = sweeper;
+  while (strokes.length && strokes[0] <= sweeper.time - STROKE_WINDOW)
+    strokes.shift();
+  const rate = cadence ?? strokes.length / STROKE_WINDOW;
+  const demand = Math.min(1, rate / FULL_CADENCE);
+  const target = demand * (1 - FATIGUE_LOSS * sweeper.fatigue);
+  sweeper.effort +=
+    (target - sweeper.effort) * Math.min(1, dt / EFFORT_RESPONSE);
+  const tiring =
+    sweeper.effort / FATIGUE_TIME - (1 - sweeper.effort) / RECOVERY_TIME;
+  sweeper.fatigue = Math.max(0, Math.min(1, sweeper.fatigue + tiring * dt));
+  return sweeper.effort;
+}
@@ -0,0 +1,54 @@
+// timestep.mjs — Fixed-step integration decoupled from render frame rate
+//
+// Physics always advances in FIXED_DT steps, whatever the display's frame
+// timing. Leftover time stays in the accumulator and becomes an
+// interpolation factor, so rendering is smooth without changing results.
+
+import { FIXED_DT } from "./constants.mjs";
+
+/** Longest frame we try to catch up on (e.g. after a backgrounded tab). */
+export const MAX_FRAME_DT = 0.25;
+
+export function createAccumulator(dt = FIXED_DT) {
+  return { dt, time: 0 };
+}
+
+/**
+ * Feed one render frame's elapsed time and run every fixed step that fits.
+ * Each rock's position before the last step is kept in prevX/prevY.
+ *
+ * @param {Object} acc       - From createAccumulator
+ * @param {Array} rocks      - Rocks to snapshot for interpolation
+ * @param {number} frameDt   - Seconds since the previous frame
+ * @param {Function} step    - (dt) => boolean, false once nothing is moving
+ *
+ * @returns {{ moving: boolean, alpha: number }} alpha in [0, 1) blends
+ *   prev → current position for drawing this frame
+ */
+export function advanceFixed(acc, rocks, frameDt, step) {
+  acc.time += Math.min(Math.max(0, frameDt), MAX_FRAME_DT);
+  let moving = true;
+  while (acc.time >= acc.dt) {
+    for (const r of rocks) {
+      r.prevX = r.x;
+      r.prevY = r.y;
+    }
+    acc.time -= acc.dt;
+    moving = step(acc.dt);
+    if (!moving) {
+      acc.time = 0;
+      break;
+    }
+  }
+  return { moving, alpha: acc.time / acc.dt };
+}
+
+/** A copy of `rock` placed `alpha` of the way from its previous position. */
+export function interpolateRock(rock, alpha) {
+  if (!rock || !rock.inPlay || rock.prevX === undefined) return rock;
+  return {
+    ...rock,
+    x: rock.prevX + (rock.x - rock.prevX) * alpha,
+    y: rock.prevY + (rock.y - rock.prevY) * alpha,
+  };
+}
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// benchmark.mjs — Physics ticks per second at each ice grid resolution
+//
+// Plays the benchmark scenario (tests/scenarios.mjs) on every resolution in
+// GRID_RESOLUTIONS and reports how many physics ticks per second the engine
+// runs; building the sheet isn't timed. A tick works only where stones have
+// been, so on no grid may it take more than MAX_SLOWDOWN times as long as
+// on the coarsest. Exits 1 if one does. Timings depend on the machine, so
+// the bound is relative and nothing is written to the snapshots.
+//
+// Usage: node tests/benchmark.mjs [rounds]
+
+import { createIce } from "../src/engine/index.mjs";
+import { simulateEnd, GRID_RESOLUTIONS } from "./physics-sim.mjs";
+import { benchmarkScenario } from "./scenarios.mjs";
+
+const ROUNDS = Number(process.argv[2]) || 3;
+
+// Most a tick may slow down on a finer grid, against the coarsest
+const MAX_SLOWDOWN = 3;
+
+// Ends played per timing: one end on the coarsest grid is over in a few
+// milliseconds, too short to time steadily
+const PLAYS = 10;
+
+const play = (resolution) => {
+  const sheets = Array.from({ length: PLAYS }, () =>
+    createIce(benchmarkScenario.profile, undefined, resolution),
+  );
+  let ticks = 0;
+  const start = performance.now();
+  for (const ice of sheets)
+    ticks += simulateEnd({ ...benchmarkScenario, resolution, ice }).summary
+      .ticks;
+  return { ticks, ms: performance.now() - start };
+};
+
+// Warm up every resolution first so the JIT has settled before timing
+for (const key of Object.keys(GRID_RESOLUTIONS)) play(key);
+
+console.log(`\n${benchmarkScenario.name} (${PLAYS} ends, best of ${ROUNDS})\n`);
+console.log("  resolution   cells     ticks   ticks/s  slowdown");
+let base = null,
+  failed = 0;
+for (const [key, { cols, rows }] of Object.entries(GRID_RESOLUTIONS)) {
+  let best = Infinity,
+    ticks = 0;
+  for (let i = 0; i < ROUNDS; i++) {
+    const run = play(key);
+    best = Math.min(best, run.ms);
+    ticks = run.ticks;
+  }
+  const rate = Math.round((ticks / best) * 1000);
+  base ??= rate;
+  // Per-tick cost against the coarsest grid
+  const slowdown = base / rate;
+  const ok = slowdown <= MAX_SLOWDOWN;
+  if (!ok) failed++;
+  console.log(
+    `  ${key.padEnd(10)} ${`${cols}×${rows}`.padStart(7)} ${String(ticks).padStart(9)} ${String(rate).padStart(9)} ${`${slowdown.toFixed(1)}×`.padStart(9)}${ok ? "" : ` ❌ over ${MAX_SLOWDOWN}×`}`,
+  );
+}
+console.log();
+process.exit(failed ? 1 : 0);
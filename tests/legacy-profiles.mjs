@@ -0,0 +1,93 @@
+// legacy-profiles.mjs — The built-in ice profiles as they were written
+// before profiles became data, kept so the rule checks can show the data
+// versions build the same sheets.
+
+import { IceGrid } from "../src/engine/index.mjs";
+
+// Calls fn(i, c, r) for every cell of the grid
+function forCells(grid, fn) {
+  for (let c = 0; c < grid.cols; c++)
+    for (let r = 0; r < grid.rows; r++) fn(grid.index(c, r), c, r);
+}
+
+const LEGACY_INIT = {
+  championship: () => {},
+  club: (grid) => {
+    forCells(grid, (i, c, r) => {
+      const yN = (r - grid.rows / 2) / (grid.rows / 2);
+      grid.slopeY[i] = -yN * 0.0012;
+      if (Math.abs(yN) < 0.3)
+        grid.pebbleHeight[i] -= 0.12 * (1 - Math.abs(yN) / 0.3);
+    });
+  },
+  arena: (grid) => {
+    forCells(grid, (i, c, r) => {
+      grid.temperature[i] = -1.5;
+      const yW = grid.cellY(r),
+        xW = grid.cellX(c);
+      if (Math.abs(yW - 25) < 8) {
+        grid.temperature[i] -= 2;
+        grid.pebbleHeight[i] -= 0.12;
+        grid.slopeY[i] = 0.0012;
+      }
+      // Brine pipes hold the ice at this temperature
+      grid.brine[i] = grid.temperature[i];
+      if (xW < -500 && yW > 40) {
+        grid.slopeY[i] = -0.003;
+        grid.slopeX[i] = -0.001;
+      }
+    });
+  },
+  swingy: (grid) => {
+    forCells(grid, (i, c, r) => {
+      const yN = (r - grid.rows / 2) / (grid.rows / 2);
+      grid.slopeY[i] = -yN * 0.003;
+      grid.pebbleHeight[i] = 1.2;
+    });
+  },
+  discovery: (grid, rng) => {
+    const R = rng;
+    const dish = (R() - 0.3) * 0.003;
+    const tY = (R() - 0.5) * 130,
+      tW = 5 + R() * 12,
+      tS = (R() - 0.5) * 0.003,
+      hasT = R() > 0.35;
+    const hasCrn = R() > 0.4,
+      cqx = R() > 0.5 ? 1 : -1,
+      cqy = R() > 0.5 ? 1 : -1,
+      cs = 0.001 + R() * 0.004;
+    const wOff = (R() - 0.5) * 30,
+      wAmt = 0.05 + R() * 0.2;
+    forCells(grid, (i, c, r) => {
+      const xW = grid.cellX(c),
+        yW = grid.cellY(r);
+      const yN = (r - grid.rows / 2) / (grid.rows / 2);
+      grid.slopeY[i] += -yN * dish;
+      if (hasT && Math.abs(yW - tY) < tW) {
+        const d = 1 - Math.abs(yW - tY) / tW;
+        grid.temperature[i] -= 1.5 * d;
+        grid.pebbleHeight[i] -= 0.08 * d;
+        grid.slopeY[i] += tS * d;
+      }
+      if (
+        hasCrn &&
+        (cqx > 0 ? xW < -480 : xW > -200) &&
+        (cqy > 0 ? yW > 30 : yW < -30)
+      ) {
+        grid.slopeY[i] += cqy * -cs;
+        grid.slopeX[i] += cqx * -cs * 0.3;
+      }
+      if (Math.abs(yW - wOff) < 15)
+        grid.pebbleHeight[i] -= wAmt * (1 - Math.abs(yW - wOff) / 15);
+      grid.pebbleHeight[i] = Math.max(0, Math.min(1.3, grid.pebbleHeight[i]));
+    });
+  },
+};
+
+/** A coarse grid shaped by the old code for profile `key`. */
+export function legacyIce(key, rng) {
+  const grid = new IceGrid();
+  LEGACY_INIT[key](grid, rng);
+  grid.refresh();
+  return grid;
+}
@@ -0,0 +1,361 @@
+// physics-sim.mjs — Headless curling physics simulator
+// Drives the game's own engine (src/engine) with no React, no Canvas —
+// pure computation.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  WORLD,
+  ROCK_RADIUS,
+  DEFAULTS,
+  FIXED_DT,
+  ICE_PROFILES,
+  createRng,
+  forkRng,
+  createIce,
+  createRock,
+  launchRock,
+  physicsTick,
+  createAccumulator,
+  advanceFixed,
+  distToButton,
+  isInHouse,
+  scoreEnd,
+  sweepTarget,
+  freeGuardZoneSnapshot,
+  enforceFreeGuardZone,
+  GAME_MODES,
+  positionedStones,
+  createSweeper,
+  stepSweeper,
+  BRUSHES,
+  maintainIce,
+  GRID_RESOLUTIONS,
+  exportIce,
+  importIce,
+  loadIceProfiles,
+} from "../src/engine/index.mjs";
+
+const TESTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Read an ice file (see src/engine/icefile.mjs), e.g. one exported from a
+ * game. Relative paths are from tests/.
+ *
+ * @returns {IceGrid}
+ */
+export function loadIce(file) {
+  return importIce(fs.readFileSync(path.resolve(TESTS_DIR, file), "utf8"));
+}
+
+/**
+ * Load a profile pack (see src/engine/profiles.mjs) so scenarios can play
+ * on its profiles. Relative paths are from tests/.
+ *
+ * @returns {string[]} Keys of the profiles added
+ */
+export function loadProfilePack(file) {
+  return loadIceProfiles(fs.readFileSync(path.resolve(TESTS_DIR, file), "utf8"));
+}
+
+/** Write a grid to an ice file; relative paths are from tests/. */
+export function saveIce(grid, file, opts) {
+  const out = path.resolve(TESTS_DIR, file);
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, JSON.stringify(exportIce(grid, opts)) + "\n");
+}
+
+/**
+ * Simulate a single rock delivery.
+ *
+ * @param {Object} opts
+ * @param {number} opts.aim       - Starting y position (-82 to +82)
+ * @param {number} opts.power     - Power percentage (0-100)
+ * @param {number} opts.spin      - Spin direction: +1 (CW) or -1 (CCW)
+ * @param {string} opts.profile   - Ice profile key
+ * @param {number} [opts.paperTurns=1.0] - Running band roughness
+ * @param {boolean|number} [opts.sweep=false] - Sweep the entire delivery:
+ *                                  true = full effort, or an effort 0-1
+ * @param {number} [opts.sweepCadence] - Sweep the entire delivery at this
+ *                                  many strokes per second instead, with
+ *                                  effort and fatigue from the sweeper model
+ * @param {number} [opts.sweepSide=0] - Directional sweeping: +1 sweeps the
+ *                                  thrower's right side of the stone (+y),
+ *                                  -1 the left, 0 straight ahead
+ * @param {string} [opts.brush]   - Key of BRUSHES (default fabric)
+ * @param {Object} [opts.tune]    - Tuning overrides (merged with DEFAULTS)
+ * @param {number} [opts.dt=FIXED_DT] - Physics timestep
+ * @param {number} [opts.frameRate] - Render frame rate driving the fixed-step
+ *   accumulator, as in the game loop (default: one step per frame)
+ * @param {number} [opts.seed=1]   - PRNG seed for randomly generated ice
+ * @param {string} [opts.resolution] - Ice grid resolution, a key of
+ *   GRID_RESOLUTIONS
+ * @param {string} [opts.iceFile] - Ice file to play on instead of the
+ *   profile (see loadIce)
+ *
+ * @returns {{ trace: Array, summary: Object }}
+ */
+export function simulate(opts) {
+  const {
+    aim = 0, power = 45, spin = 1, profile = "championship",
+    paperTurns = 1.0, sweep = false, tune: tuneOverrides = {}, dt = FIXED_DT,
+    seed = 1, frameRate = 1 / dt, sweepCadence, sweepSide = 0, brush,
+    resolution, iceFile,
+  } = opts;
+
+  const T = { ...DEFAULTS, ...tuneOverrides };
+
+  const grid = iceFile ? loadIce(iceFile) : createIce(profile, createRng(seed), resolution);
+  const rock = launchRock(createRock(0, 0), { aim, power, spin, paperTurns });
+  const rocks = [rock];
+
+  const trace = [];
+  const sweeper = createSweeper();
+  let tick = 0;
+
+  const step = (h) => {
+    // Record position at the start of the tick, forces as computed in it
+    const { x, y, angle } = rock;
+    const effort = sweepCadence ? stepSweeper(sweeper, h, sweepCadence) : +sweep;
+    physicsTick(rocks, grid, T, h, { sweepEffort: () => effort, sweepSide: () => sweepSide, brush });
+    const d = rock.dbg;
+    trace.push({
+      tick, x, y, velocity: d.v, angle, ...(sweepCadence && { effort }),
+      spinCurl: d.spinCurl, gradDrift: d.gradDrift, slopeY: d.slopeY,
+      friction: d.friction, vFactor: d.vFactor, fL: d.fL, fR: d.fR,
+    });
+    tick++;
+    return rock.inPlay && rock.velocity > 0.02 && tick < 10000;
+  };
+
+  // Same frame → fixed-step driver as the game's requestAnimationFrame loop
+  const acc = createAccumulator(dt);
+  let moving = true;
+  while (moving) ({ moving } = advanceFixed(acc, rocks, 1 / frameRate, step));
+
+  const removed = !rock.inPlay;
+  const removeReason = rock.removeReason;
+
+  // Final position
+  const last = trace[trace.length - 1];
+  const dist = last ? distToButton(last) : Infinity;
+  const inHouse = isInHouse(dist);
+  const totalCurl = last ? last.y - aim : 0;
+  // How far the direction of travel has turned from straight down the
+  // sheet, in degrees; positive = toward +y
+  const headingChange = (-Math.atan2(Math.sin(rock.angle - Math.PI), Math.cos(rock.angle - Math.PI)) * 180) / Math.PI;
+
+  const summary = {
+    name: opts.name || "unnamed",
+    aim, power, spin, profile, paperTurns, sweep, sweepCadence, seed,
+    ...(sweepSide && { sweepSide }), ...(brush && { brush }),
+    ...(resolution && { resolution }), ...(iceFile && { iceFile }),
+    frameRate: +frameRate.toFixed(1),
+    tune: T,
+    finalX: last?.x, finalY: last?.y,
+    totalCurl: +totalCurl.toFixed(2),
+    headingChange: +headingChange.toFixed(2),
+    distToButton: +dist.toFixed(1),
+    inHouse, removed, removeReason,
+    ...(sweepCadence && { fatigue: +sweeper.fatigue.toFixed(3) }),
+    ticks: tick,
+    duration: +(tick * dt).toFixed(2),
+  };
+
+  return { trace, summary };
+}
+
+/**
+ * Simulate an end (or part of one) with every stone on the sheet.
+ *
+ * Stones already in play are placed first, then each delivery is thrown
+ * in order and run until everything stops. Ice wear carries over between
+ * deliveries, as in the game.
+ *
+ * @param {Object} opts
+ * @param {Array}  [opts.stones=[]]   - Stones in play: { team, x, y }. They get
+ *                                      ids 0..n-1; delivered stones follow on.
+ * @param {Array}  opts.deliveries    - { aim, power, spin, team?, paperTurns?, sweep?,
+ *                                      sweepOpposition?, sweepSide? } (sweeps
+ *                                      as for simulate()'s sweep). The
+ *                                      delivering team sweeps its fastest
+ *                                      moving stone, to sweepSide as for
+ *                                      simulate(); sweepOpposition has the
+ *                                      other team sweep opposition stones
+ *                                      behind the tee line.
+ *                                      Team defaults to alternating from firstTeam.
+ * @param {number} [opts.firstTeam=0] - Team throwing the first delivery
+ * @param {string} [opts.profile="championship"]
+ * @param {string} [opts.brush]       - Key of BRUSHES both teams sweep with
+ * @param {Object} [opts.tune]        - Tuning overrides (merged with DEFAULTS)
+ * @param {number} [opts.dt=FIXED_DT]
+ * @param {number} [opts.frameRate]   - Render frame rate driving the accumulator
+ * @param {number} [opts.seed=1]      - PRNG seed for randomly generated ice
+ * @param {number} [opts.freeGuardZone=0] - Stones protected by the free guard
+ *                                      zone rule (4 or 5); 0 leaves it off
+ * @param {number} [opts.firstStone=0] - Stones already delivered this end
+ *                                      before the first of `deliveries`
+ * @param {string} [opts.mode="standard"] - Key of GAME_MODES; mixed doubles
+ *                                      replaces the free guard zone with its
+ *                                      no-removal rule
+ * @param {Object} [opts.positioned]  - Mixed doubles positioned stones:
+ *                                      { houseTeam, powerPlay? }. Placed
+ *                                      before `stones` (house stone first).
+ * @param {string} [opts.resolution] - Ice grid resolution, a key of
+ *                                      GRID_RESOLUTIONS
+ * @param {string} [opts.iceFile]    - Ice file to play on instead of the
+ *                                      profile (see loadIce)
+ * @param {IceGrid} [opts.ice]        - Ice to play on instead of a fresh
+ *                                      sheet; its wear carries in and out
+ * @param {Array}  [opts.previousEnd] - Deliveries of an end played on the
+ *                                      same ice first (its stones then cleared)
+ * @param {Object} [opts.maintenance] - Ice crew work before the first
+ *                                      delivery: { plan, quality?, settle? }
+ *                                      as for maintainIce()
+ *
+ * @returns {{ stones: Array, deliveries: Array, removals: Array,
+ *             contacts: Array, violations: Array, score: Object,
+ *             summary: Object }}
+ *   stones[i].trace holds { tick, x, y, velocity } for every tick the stone
+ *   was moving (position at the start of the tick) plus its placement and
+ *   any replacement after a free guard zone violation.
+ */
+export function simulateEnd(opts) {
+  const {
+    stones: placed = [], deliveries = [], firstTeam = 0,
+    profile = "championship", tune: tuneOverrides = {}, dt = FIXED_DT,
+    seed = 1, frameRate = 1 / dt, freeGuardZone = 0, firstStone = 0,
+    mode = "standard", positioned = null, brush, previousEnd = null,
+    maintenance = null, resolution, iceFile,
+  } = opts;
+  const { noRemovalStones } = GAME_MODES[mode];
+
+  const T = { ...DEFAULTS, ...tuneOverrides };
+  const iceRng = createRng(seed);
+  const grid = opts.ice ?? (iceFile ? loadIce(iceFile) : createIce(profile, iceRng, resolution));
+  if (previousEnd)
+    simulateEnd({ ...opts, stones: [], deliveries: previousEnd, positioned: null, previousEnd: null, maintenance: null, ice: grid });
+  if (maintenance) maintainIce(grid, maintenance.plan, { ...maintenance, rng: forkRng(iceRng) });
+  const rocks = [];
+  const traces = new Map();
+  const removals = [], contacts = [], thrown = [], violations = [];
+  let tick = 0, current = null;
+
+  const addStone = (team, x, y) => {
+    const rock = createRock(team, rocks.length);
+    rock.x = rock.prevX = x;
+    rock.y = rock.prevY = y;
+    rock.inPlay = true;
+    rocks.push(rock);
+    traces.set(rock, [{ tick, x, y, velocity: 0, omega: rock.omega }]);
+    return rock;
+  };
+
+  if (positioned) {
+    const { house, guard } = positionedStones(positioned.powerPlay);
+    addStone(positioned.houseTeam, house.x, house.y);
+    addStone(1 - positioned.houseTeam, guard.x, guard.y);
+  }
+  for (const st of placed) addStone(st.team, st.x, st.y);
+
+  const onContact = (a, b, impulse) => {
+    contacts.push({ tick, delivery: current, a: a.id, b: b.id, impulse: +impulse.toFixed(4) });
+  };
+
+  deliveries.forEach((d, i) => {
+    current = i;
+    const team = d.team ?? (firstTeam + i) % 2;
+    const fgz = noRemovalStones
+      ? freeGuardZoneSnapshot(rocks, team, firstStone + i, noRemovalStones, { anyStone: true })
+      : freeGuardZoneSnapshot(rocks, team, firstStone + i, freeGuardZone);
+    const rock = addStone(team, WORLD.hackPos, d.aim);
+    launchRock(rock, { aim: d.aim, power: d.power, spin: d.spin, paperTurns: d.paperTurns ?? 1.0 });
+    thrown.push({ index: i, id: rock.id, team, aim: d.aim, power: d.power, spin: d.spin, sweep: !!d.sweep,
+      ...(d.sweepOpposition && { sweepOpposition: true }), ...(d.sweepSide && { sweepSide: d.sweepSide }) });
+    const efforts = [+(d.sweep ?? 0), +(d.sweepOpposition ?? 0)];
+    let stepsThisDelivery = 0;
+
+    const step = (h) => {
+      const before = rocks.map((r) => ({ inPlay: r.inPlay, x: r.x, y: r.y, velocity: r.velocity }));
+      const targets = [team, 1 - team].map((t) => sweepTarget(rocks, t, team));
+      const sweepEffort = (r) => targets.reduce((e, t, k) => (t === r ? e + efforts[k] : e), 0);
+      // Only the delivering team's sweepers work one side of the stone
+      const sweepSide = (r) => (r === targets[0] ? d.sweepSide ?? 0 : 0);
+      const moving = physicsTick(rocks, grid, T, h, { sweepEffort, sweepSide, brush, onContact });
+      rocks.forEach((r, k) => {
+        const b = before[k];
+        if (b.inPlay && b.velocity > 0.02) traces.get(r).push({ tick, x: b.x, y: b.y, velocity: r.dbg.v, omega: r.dbg.omega });
+        if (b.inPlay && !r.inPlay)
+          removals.push({ tick, delivery: i, id: r.id, team: r.team, reason: r.removeReason, x: b.x, y: b.y });
+      });
+      tick++;
+      return moving && ++stepsThisDelivery < 10000;
+    };
+
+    const acc = createAccumulator(dt);
+    let moving = true;
+    while (moving) ({ moving } = advanceFixed(acc, rocks, 1 / frameRate, step));
+
+    const settled = rocks.map((r) => ({ inPlay: r.inPlay, x: r.x, y: r.y }));
+    const guards = enforceFreeGuardZone(rocks, fgz, rock);
+    if (guards) {
+      violations.push({ tick, delivery: i, id: rock.id, team, guards });
+      rocks.forEach((r, k) => {
+        const b = settled[k];
+        if (b.inPlay && !r.inPlay)
+          removals.push({ tick, delivery: i, id: r.id, team: r.team, reason: r.removeReason, x: b.x, y: b.y });
+        else if (r.inPlay && (!b.inPlay || b.x !== r.x || b.y !== r.y))
+          traces.get(r).push({ tick, x: r.x, y: r.y, velocity: 0, omega: 0, replaced: true });
+      });
+    }
+  });
+
+  const score = scoreEnd(rocks);
+  const range = (field) => {
+    let lo = Infinity, hi = -Infinity;
+    for (const v of field) { lo = Math.min(lo, v); hi = Math.max(hi, v); }
+    return [lo, hi];
+  };
+  const temps = range(grid.temperature), pebble = range(grid.pebbleHeight);
+  const stones = rocks.map((r) => {
+    const d = r.inPlay ? distToButton(r) : null;
+    return {
+      id: r.id, team: r.team,
+      delivery: thrown.find((t) => t.id === r.id)?.index ?? null,
+      inPlay: r.inPlay, removeReason: r.removeReason,
+      x: r.inPlay ? r.x : null, y: r.inPlay ? r.y : null,
+      distToButton: d === null ? null : +d.toFixed(1),
+      inHouse: d !== null && isInHouse(d),
+      trace: traces.get(r),
+    };
+  });
+
+  const summary = {
+    name: opts.name || "unnamed",
+    profile, seed, firstTeam, dt,
+    frameRate: +frameRate.toFixed(1),
+    mode, ...(brush && { brush }), ...(resolution && { resolution }),
+    ...(iceFile && { iceFile }),
+    ...(previousEnd && { previousEnd: previousEnd.length }),
+    ...(maintenance && { maintenance: { quality: 1, ...maintenance } }),
+    stonesPlaced: rocks.length - thrown.length,
+    deliveries: thrown.length,
+    removed: removals.length,
+    contacts: contacts.length,
+    violations: violations.length,
+    scoringTeam: score.scoringTeam, pts: score.pts, tie: score.tie,
+    iceTemp: {
+      min: +temps[0].toFixed(3), max: +temps[1].toFixed(3),
+    },
+    pebble: {
+      min: +pebble[0].toFixed(3), max: +pebble[1].toFixed(3),
+    },
+    ticks: tick,
+    duration: +(tick * dt).toFixed(2),
+  };
+
+  return { stones, deliveries: thrown, removals, contacts, violations, score, summary };
+}
+
+export { WORLD, ROCK_RADIUS, DEFAULTS, ICE_PROFILES, BRUSHES, GRID_RESOLUTIONS };
@@ -0,0 +1,1033 @@
+// scenarios.mjs — Test cases for curling physics snapshots
+//
+// Each scenario defines delivery inputs and soft expectations.
+// Expectations are ranges, not exact values — they catch regressions
+// (sign flips, broken deceleration, etc.) without being brittle.
+
+import {
+  LSD_MISS,
+  END_OPTIONS,
+  IceGrid,
+  paintIce,
+  createIceHistory,
+  recordIce,
+  undoIce,
+  redoIce,
+  UNDO_LIMIT,
+  CELL_FIELDS,
+  shapeIce,
+  scrapeIce,
+  createRng,
+  ICE_PROFILES,
+  loadIceProfiles,
+} from "../src/engine/index.mjs";
+import { legacyIce } from "./legacy-profiles.mjs";
+
+const scenarios = [
+  // ============================================================
+  // CURL DIRECTION — the most important thing to get right
+  // ============================================================
+  {
+    name: "CW from center — should curl right (+y)",
+    aim: 0, power: 42, spin: 1, profile: "championship",
+    expect: { curlSign: "+", curlMin: 3, inHouse: true, headingSign: "+" },
+  },
+  {
+    name: "CCW from center — should curl left (-y)",
+    aim: 0, power: 42, spin: -1, profile: "championship",
+    expect: { curlSign: "-", curlMin: 3, inHouse: true, headingSign: "-" },
+  },
+  {
+    name: "CW from right side — should curl further right",
+    aim: 40, power: 42, spin: 1, profile: "championship",
+    expect: { curlSign: "+", curlMin: 3 },
+  },
+  {
+    name: "CCW from right side — should curl left toward center",
+    aim: 40, power: 42, spin: -1, profile: "championship",
+    expect: { curlSign: "-", curlMin: 3, inHouse: true },
+  },
+
+  // ============================================================
+  // CURL SYMMETRY — CW and CCW should produce equal magnitude
+  // ============================================================
+  {
+    name: "Symmetry: CW center draw",
+    aim: 0, power: 42, spin: 1, profile: "championship",
+    expect: { inHouse: true },
+    _symmetryPair: "sym-center",
+  },
+  {
+    name: "Symmetry: CCW center draw",
+    aim: 0, power: 42, spin: -1, profile: "championship",
+    expect: { inHouse: true },
+    _symmetryPair: "sym-center",
+  },
+
+  // ============================================================
+  // POWER RANGE — verify useful range is wide
+  // ============================================================
+  {
+    name: "10% power — should be short of hog line",
+    aim: 0, power: 10, spin: 1, profile: "championship",
+    expect: { removed: true, removeReason: "hog_line" },
+  },
+  {
+    name: "35% power — should reach house",
+    aim: 0, power: 35, spin: 1, profile: "championship",
+    expect: { inHouse: true },
+  },
+  {
+    name: "50% power — should reach house or pass through",
+    aim: 0, power: 50, spin: 1, profile: "championship",
+    expect: { finalXMax: -500 }, // at least past tee
+  },
+  {
+    name: "95% power — peel weight, through back line",
+    aim: 0, power: 95, spin: 1, profile: "championship",
+    expect: { removed: true, removeReason: "back_line" },
+  },
+
+  // ============================================================
+  // CURL GRADUALITY — curl should accumulate evenly, not spike at end
+  // ============================================================
+  {
+    name: "Curl distribution — check halfway point",
+    aim: 0, power: 42, spin: 1, profile: "championship",
+    // Checked programmatically in run-snapshots.js
+    expect: { inHouse: true, _checkCurlDistribution: true },
+  },
+
+  // ============================================================
+  // SIDEBOARDS — edge shots shouldn't get removed prematurely
+  // ============================================================
+  {
+    name: "CCW from far right — should curl inward, not hit sideboard",
+    aim: 60, power: 42, spin: -1, profile: "championship",
+    expect: { removed: false },
+  },
+  {
+    name: "CW from far right — curls further right, likely hits sideboard",
+    aim: 65, power: 42, spin: 1, profile: "championship",
+    expect: { removed: true, removeReason: "sideboard" },
+  },
+
+  // ============================================================
+  // ICE PROFILES — verify profiles produce different behavior
+  // ============================================================
+  {
+    name: "Club ice — dish should pull toward center",
+    aim: 40, power: 42, spin: 1, profile: "club",
+    // CW curl goes +y (away from center), but dish should reduce net curl
+    expect: { removed: false },
+    _compareProfile: "championship",
+  },
+  {
+    name: "Swingy ice — should produce more curl than championship",
+    aim: 0, power: 42, spin: 1, profile: "swingy",
+    expect: { curlMin: 5 },
+  },
+
+  // ============================================================
+  // FRAME RATE — fixed-step physics must land the same shot anywhere
+  // ============================================================
+  {
+    name: "Frame rate — club draw at 30Hz",
+    aim: 20, power: 42, spin: -1, profile: "club", frameRate: 30,
+    expect: { inHouse: true },
+    _frameRateGroup: "framerate-club-draw",
+  },
+  {
+    name: "Frame rate — club draw at 60Hz",
+    aim: 20, power: 42, spin: -1, profile: "club", frameRate: 60,
+    expect: { inHouse: true },
+    _frameRateGroup: "framerate-club-draw",
+  },
+  {
+    name: "Frame rate — club draw at 144Hz",
+    aim: 20, power: 42, spin: -1, profile: "club", frameRate: 144,
+    expect: { inHouse: true },
+    _frameRateGroup: "framerate-club-draw",
+  },
+
+  // ============================================================
+  // GRID RESOLUTION — finer ice grids must land the same shot
+  // ============================================================
+  {
+    name: "Grid resolution — swept club draw on coarse ice",
+    aim: -20, power: 30, spin: 1, sweep: true, profile: "club", resolution: "coarse",
+    expect: { inHouse: true },
+    _resolutionGroup: "resolution-club-draw",
+  },
+  {
+    name: "Grid resolution — swept club draw on fine ice",
+    aim: -20, power: 30, spin: 1, sweep: true, profile: "club", resolution: "fine",
+    expect: { inHouse: true },
+    _resolutionGroup: "resolution-club-draw",
+  },
+  {
+    name: "Grid resolution — swept club draw on track ice",
+    aim: -20, power: 30, spin: 1, sweep: true, profile: "club", resolution: "track",
+    expect: { inHouse: true },
+    _resolutionGroup: "resolution-club-draw",
+  },
+  {
+    name: "Grid resolution — swept club draw on pebble ice",
+    aim: -20, power: 30, spin: 1, sweep: true, profile: "club", resolution: "pebble",
+    expect: { inHouse: true },
+    _resolutionGroup: "resolution-club-draw",
+  },
+
+  // ============================================================
+  // SEEDED ICE — same seed must rebuild the same random sheet
+  // ============================================================
+  {
+    name: "Discovery ice — seed 2026, first run",
+    aim: 0, power: 42, spin: 1, profile: "discovery", seed: 2026,
+    expect: {},
+    _seedPair: "seed-discovery",
+  },
+  {
+    name: "Discovery ice — seed 2026, replay",
+    aim: 0, power: 42, spin: 1, profile: "discovery", seed: 2026,
+    expect: {},
+    _seedPair: "seed-discovery",
+  },
+  {
+    // Profile from tests/ice/sample-pack.json. The worn paths run keen, so
+    // the stone carries past the same draw on championship ice (x -583).
+    name: "Profile pack — draw on crowned ice",
+    aim: 0, power: 42, spin: 1, profile: "pack:crowned",
+    expect: { inHouse: true, finalXMax: -586 },
+  },
+
+  // ============================================================
+  // SWEEP — should extend travel distance
+  // ============================================================
+  {
+    name: "Sweep vs no-sweep — 35% power without sweep",
+    aim: 0, power: 30, spin: 1, profile: "championship",
+    sweep: false,
+    expect: {},
+    _sweepPair: "sweep-test",
+    _effortGroup: "effort-test",
+  },
+  {
+    name: "Sweep vs no-sweep — 35% power with sweep",
+    aim: 0, power: 30, spin: 1, profile: "championship",
+    sweep: true,
+    expect: {},
+    _sweepPair: "sweep-test",
+    _effortGroup: "effort-test",
+    _fatiguePair: "fatigue-test",
+  },
+  {
+    name: "Sweep effort — 35% power at half effort",
+    aim: 0, power: 30, spin: 1, profile: "championship",
+    sweep: 0.5,
+    expect: {},
+    _effortGroup: "effort-test",
+  },
+  {
+    name: "Sweep fatigue — 35% power at 6 strokes/s",
+    aim: 0, power: 30, spin: 1, profile: "championship",
+    sweepCadence: 6,
+    expect: {},
+    _fatiguePair: "fatigue-test",
+  },
+
+  // ── Sweeping holds the line: the swept draw must finish both longer
+  // and with less curl than the same delivery left alone ──
+  {
+    name: "Sweep straightens — clockwise draw unswept",
+    aim: -20, power: 30, spin: 1, profile: "championship",
+    expect: { curlSign: "+" },
+    _straightenPair: "straighten-cw",
+  },
+  {
+    name: "Sweep straightens — clockwise draw swept",
+    aim: -20, power: 30, spin: 1, profile: "championship",
+    sweep: true,
+    expect: { curlSign: "+" },
+    _straightenPair: "straighten-cw",
+  },
+  {
+    name: "Sweep straightens — counter-clockwise draw unswept",
+    aim: 20, power: 30, spin: -1, profile: "championship",
+    expect: { curlSign: "-" },
+    _straightenPair: "straighten-ccw",
+  },
+  {
+    name: "Sweep straightens — counter-clockwise draw swept",
+    aim: 20, power: 30, spin: -1, profile: "championship",
+    sweep: true,
+    expect: { curlSign: "-" },
+    _straightenPair: "straighten-ccw",
+  },
+
+  // ── Directional sweeping: working one side of the stone steers it
+  // toward that side ──
+  {
+    name: "Directional sweep — left side",
+    aim: 0, power: 30, spin: 1, profile: "championship",
+    sweep: true, sweepSide: -1,
+    expect: {},
+    _steerGroup: "steer-test",
+  },
+  {
+    name: "Directional sweep — straight ahead",
+    aim: 0, power: 30, spin: 1, profile: "championship",
+    sweep: true,
+    expect: {},
+    _steerGroup: "steer-test",
+  },
+  {
+    name: "Directional sweep — right side",
+    aim: 0, power: 30, spin: 1, profile: "championship",
+    sweep: true, sweepSide: 1,
+    expect: {},
+    _steerGroup: "steer-test",
+  },
+
+  // ── Brush types: a fabric pad carries a swept draw furthest, then the
+  // push broom, then the corn broom ──
+  {
+    name: "Brush — corn broom",
+    aim: 0, power: 30, spin: 1, profile: "championship",
+    sweep: true, brush: "corn",
+    expect: {},
+    _brushGroup: "brush-test",
+  },
+  {
+    name: "Brush — push broom",
+    aim: 0, power: 30, spin: 1, profile: "championship",
+    sweep: true, brush: "push",
+    expect: {},
+    _brushGroup: "brush-test",
+  },
+  {
+    name: "Brush — fabric pad",
+    aim: 0, power: 30, spin: 1, profile: "championship",
+    sweep: true, brush: "fabric",
+    expect: {},
+    _brushGroup: "brush-test",
+  },
+
+  // ============================================================
+  // NO CURL — spin=0 equivalent (use very low curlCoeff)
+  // ============================================================
+  {
+    name: "Zero curl coefficient — rock should go straight",
+    aim: 20, power: 42, spin: 1, profile: "championship",
+    tune: { curlCoeff: 0 },
+    expect: { curlMax: 1 }, // negligible lateral movement
+  },
+];
+
+export default scenarios;
+
+// ============================================================
+// END SCENARIOS — several stones on the sheet
+// ============================================================
+// Run through simulateEnd(). Stones in play get ids 0..n-1 in order;
+// delivered stones follow. Team 0 = yellow, team 1 = red.
+// Eight swept draws down the same path, for an end's worth of wear
+const WORN_PATH = Array.from({ length: 8 }, () => ({ aim: -20, power: 30, spin: 1, sweep: true }));
+
+export const endScenarios = [
+  {
+    name: "End: takeout on the button",
+    stones: [{ team: 1, x: -540, y: 0 }],
+    deliveries: [{ team: 0, aim: -16, power: 80, spin: 1 }],
+    profile: "championship",
+    expect: { removedIds: [0], keptIds: [1], contactsMin: 1, scoringTeam: 0, pts: 1 },
+  },
+  {
+    name: "End: raise a short stone into the house",
+    stones: [{ team: 0, x: -455, y: 0 }],
+    deliveries: [{ team: 0, aim: -15, power: 40, spin: 1 }],
+    profile: "championship",
+    expect: { inHouseIds: [0], contactsMin: 1, scoringTeam: 0, pts: 1 },
+  },
+  {
+    name: "End: double takeout",
+    stones: [
+      { team: 1, x: -530, y: -10 },
+      { team: 1, x: -545, y: 15 },
+    ],
+    deliveries: [{ team: 0, aim: -14, power: 90, spin: 1 }],
+    profile: "championship",
+    expect: { removedIds: [0, 1], keptIds: [2], contactsMin: 2, scoringTeam: 0 },
+  },
+  {
+    name: "End: full 16-stone end on club ice",
+    deliveries: [
+      { aim: -10, power: 30, spin: 1 }, { aim: 35, power: 40, spin: -1 },
+      { aim: -20, power: 40, spin: 1 }, { aim: 20, power: 42, spin: -1 },
+      { aim: -18, power: 80, spin: 1 }, { aim: 30, power: 38, spin: -1 },
+      { aim: -30, power: 40, spin: 1 }, { aim: 25, power: 85, spin: -1 },
+      { aim: -22, power: 42, spin: 1 }, { aim: 15, power: 40, spin: -1 },
+      { aim: -15, power: 90, spin: 1 }, { aim: 40, power: 41, spin: -1 },
+      { aim: -25, power: 39, spin: 1 }, { aim: 10, power: 75, spin: -1 },
+      { aim: -20, power: 41, spin: 1 }, { aim: 22, power: 40, spin: -1 },
+    ],
+    profile: "club",
+    // Regression pin: the whole end replays to the same count
+    expect: { contactsMin: 1, scoringTeam: 0, pts: 1 },
+  },
+
+  // ── Peel vs. center guard: contacts are found along each stone's whole
+  // path (time of impact), so a 95% peel can't slip through the guard
+  // even when it travels more than a stone's width per tick (dt 0.08). ──
+  {
+    name: "End: 95% peel hits center guard (dt 0.016)",
+    stones: [{ team: 1, x: -440, y: 0 }],
+    deliveries: [{ team: 0, aim: -7, power: 95, spin: 1 }],
+    profile: "championship", dt: 0.016,
+    expect: { removedIds: [0], contactsMin: 1 },
+  },
+  {
+    name: "End: 95% peel hits center guard (dt 0.05)",
+    stones: [{ team: 1, x: -440, y: 0 }],
+    deliveries: [{ team: 0, aim: -7, power: 95, spin: 1 }],
+    profile: "championship", dt: 0.05,
+    expect: { removedIds: [0], contactsMin: 1 },
+  },
+  {
+    name: "End: 95% peel hits center guard (dt 0.08)",
+    stones: [{ team: 1, x: -440, y: 0 }],
+    deliveries: [{ team: 0, aim: -7, power: 95, spin: 1 }],
+    profile: "championship", dt: 0.08,
+    expect: { removedIds: [0], contactsMin: 1 },
+  },
+  {
+    name: "End: 95% peel clips guard on the left edge (dt 0.08)",
+    stones: [{ team: 1, x: -440, y: 0 }],
+    deliveries: [{ team: 0, aim: -16, power: 95, spin: 1 }],
+    profile: "championship", dt: 0.08,
+    expect: { contactsMin: 1 },
+  },
+  {
+    name: "End: 95% peel clips guard on the right edge (dt 0.08)",
+    stones: [{ team: 1, x: -440, y: 0 }],
+    deliveries: [{ team: 0, aim: 2, power: 95, spin: 1 }],
+    profile: "championship", dt: 0.08,
+    expect: { contactsMin: 1 },
+  },
+
+  // ── Multi-body contacts: straight (curlCoeff 0) so the geometry is exact ──
+  {
+    name: "End: split two touching stones evenly",
+    stones: [
+      { team: 1, x: -500, y: -5 },
+      { team: 1, x: -500, y: 5 },
+    ],
+    deliveries: [{ team: 0, aim: 0, power: 45, spin: 1, paperTurns: 0 }],
+    profile: "championship", tune: { curlCoeff: 0 },
+    // Both struck at the same instant by a non-rotating stone: momentum
+    // splits evenly
+    expect: { mirrorIds: [0, 1], contactsMin: 2 },
+  },
+  {
+    name: "End: raise through a frozen stone",
+    stones: [
+      { team: 0, x: -480, y: 0 },
+      { team: 0, x: -490, y: 0 },
+    ],
+    deliveries: [{ team: 0, aim: 0, power: 45, spin: 1 }],
+    profile: "championship", tune: { curlCoeff: 0 },
+    // Momentum runs through the front stone into the one frozen to it
+    expect: { movedMostId: 1, inHouseIds: [1], keptIds: [0, 2] },
+  },
+  {
+    name: "End: chain through a stack of three",
+    stones: [
+      { team: 0, x: -470, y: 0 },
+      { team: 1, x: -480, y: 0 },
+      { team: 0, x: -490, y: 0 },
+    ],
+    deliveries: [{ team: 0, aim: 0, power: 45, spin: 1 }],
+    profile: "championship", tune: { curlCoeff: 0 },
+    expect: { movedMostId: 2, inHouseIds: [2], keptIds: [0, 1, 3] },
+  },
+
+  // ── Spin transfer: square hits with no curl, so any sideways motion of
+  // the struck stone is throw from stone-on-stone friction ──
+  {
+    name: "End: clockwise shooter throws struck stone right",
+    stones: [{ team: 1, x: -490, y: 0 }],
+    deliveries: [{ team: 0, aim: 0, power: 45, spin: 1 }],
+    profile: "championship", tune: { curlCoeff: 0 },
+    // Thrown toward +y, and set turning counter-clockwise
+    expect: { driftSign: { 0: 1 }, spinSign: { 0: -1 }, keptIds: [0, 1] },
+  },
+  {
+    name: "End: counter-clockwise shooter throws struck stone left",
+    stones: [{ team: 1, x: -490, y: 0 }],
+    deliveries: [{ team: 0, aim: 0, power: 45, spin: -1 }],
+    profile: "championship", tune: { curlCoeff: 0 },
+    expect: { driftSign: { 0: -1 }, spinSign: { 0: 1 }, keptIds: [0, 1] },
+  },
+
+  // ── Free guard zone: the same peel of a centre guard, legal or not
+  // depending on the stone number and the rule in force ──
+  {
+    name: "End: FGZ peel on stone 1 is replaced (5-rock rule)",
+    stones: [{ team: 1, x: -440, y: 0 }],
+    deliveries: [{ team: 0, aim: -7, power: 95, spin: 1 }],
+    profile: "championship", freeGuardZone: 5,
+    // Guard goes back where it was; the offending stone comes out
+    expect: { violations: 1, keptIds: [0], removedIds: [1] },
+  },
+  {
+    name: "End: FGZ peel on stone 5 is replaced (5-rock rule)",
+    stones: [{ team: 1, x: -440, y: 0 }],
+    deliveries: [{ team: 0, aim: -7, power: 95, spin: 1 }],
+    profile: "championship", freeGuardZone: 5, firstStone: 4,
+    expect: { violations: 1, keptIds: [0], removedIds: [1] },
+  },
+  {
+    name: "End: FGZ peel on stone 5 is legal (4-rock rule)",
+    stones: [{ team: 1, x: -440, y: 0 }],
+    deliveries: [{ team: 0, aim: -7, power: 95, spin: 1 }],
+    profile: "championship", freeGuardZone: 4, firstStone: 4,
+    expect: { violations: 0, removedIds: [0] },
+  },
+  {
+    name: "End: FGZ lets a team peel its own guard",
+    stones: [{ team: 0, x: -440, y: 0 }],
+    deliveries: [{ team: 0, aim: -7, power: 95, spin: 1 }],
+    profile: "championship", freeGuardZone: 5,
+    expect: { violations: 0, removedIds: [0] },
+  },
+
+  // ── Mixed doubles: positioned stones (team 1 house stone id 0, team 0
+  // guard id 1); no stone may leave play before the fourth delivery ──
+  {
+    name: "End: mixed doubles peel of own guard on stone 1 is replaced",
+    mode: "mixedDoubles", positioned: { houseTeam: 1 },
+    deliveries: [{ team: 0, aim: -7, power: 95, spin: 1 }],
+    profile: "championship",
+    expect: { violations: 1, keptIds: [0, 1], removedIds: [2] },
+  },
+  {
+    name: "End: mixed doubles peel on stone 4 is legal",
+    mode: "mixedDoubles", positioned: { houseTeam: 1 },
+    deliveries: [{ team: 0, aim: -7, power: 95, spin: 1 }],
+    profile: "championship", firstStone: 3,
+    expect: { violations: 0, removedIds: [0] },
+  },
+
+  // ── Measuring: the last stone is hogged so the count is of the stones
+  // placed, exactly as set ──
+  {
+    name: "End: equidistant shot stones are a blank end",
+    stones: [{ team: 0, x: -520, y: 0 }, { team: 1, x: -540, y: 20 }],
+    deliveries: [{ team: 1, aim: 0, power: 10, spin: 1 }],
+    profile: "championship",
+    expect: { tie: true, scoringTeam: -1, pts: 0, countedIds: [] },
+  },
+  {
+    name: "End: second stone tied with the opposition doesn't count",
+    stones: [
+      { team: 0, x: -530, y: 0 }, { team: 0, x: -540, y: -20 },
+      { team: 1, x: -540, y: 20 },
+    ],
+    deliveries: [{ team: 1, aim: 0, power: 10, spin: 1 }],
+    profile: "championship",
+    expect: { tie: false, scoringTeam: 0, pts: 1, countedIds: [0] },
+  },
+  {
+    name: "End: a biter counts",
+    // 76 from the button: only the edge touches the 12-foot. The red
+    // stone at 78 is just clear of it.
+    stones: [{ team: 0, x: -464, y: 0 }, { team: 1, x: -540, y: 78 }],
+    deliveries: [{ team: 1, aim: 0, power: 10, spin: 1 }],
+    profile: "championship",
+    expect: { scoringTeam: 0, pts: 1, countedIds: [0] },
+  },
+
+  // ── Heat: sweeping warms the ice and the heat stays; on arena ice the
+  // brine pipes pull it back toward their temperature ──
+  {
+    name: "End: sweeping warms the ice",
+    deliveries: [
+      { aim: -20, power: 22, spin: 1, sweep: true }, { aim: -20, power: 22, spin: 1, sweep: true },
+      { aim: -20, power: 22, spin: 1, sweep: true }, { aim: -20, power: 22, spin: 1, sweep: true },
+    ],
+    profile: "championship",
+    expect: { iceTempMax: { above: 1 } },
+  },
+  {
+    name: "End: brine pipes cool swept arena ice",
+    deliveries: [
+      { aim: -20, power: 22, spin: 1, sweep: true }, { aim: -20, power: 22, spin: 1, sweep: true },
+      { aim: -20, power: 22, spin: 1, sweep: true }, { aim: -20, power: 22, spin: 1, sweep: true },
+    ],
+    profile: "arena",
+    // Arena ice starts at -1.5; the same sweeping warms it less
+    expect: { iceTempMax: { below: 0 } },
+  },
+
+  // ── Ice maintenance between ends: the same draw after an end of eight
+  // swept draws down its path. Left alone, the warmed path runs short;
+  // fresh nipped pebble runs keener, and fresh pebble that hasn't set
+  // leaves water that carries the stone long. ──
+  {
+    name: "End: draw after an end of wear, no ice crew",
+    previousEnd: WORN_PATH,
+    deliveries: [{ team: 0, aim: -20, power: 30, spin: 1 }],
+    profile: "championship",
+    expect: { finalX: { 0: [-515, -505] } },
+  },
+  {
+    // tests/ice/worn-path.json is championship ice saved (saveIce) after
+    // the WORN_PATH end: it must play like the live worn sheet above
+    name: "End: draw on a saved worn sheet",
+    iceFile: "ice/worn-path.json",
+    deliveries: [{ team: 0, aim: -20, power: 30, spin: 1 }],
+    expect: { finalX: { 0: [-515, -505] } },
+  },
+  {
+    name: "End: draw after a touch-up",
+    previousEnd: WORN_PATH,
+    maintenance: { plan: "touchUp" },
+    deliveries: [{ team: 0, aim: -20, power: 30, spin: 1 }],
+    profile: "championship",
+    expect: { finalX: { 0: [-540, -525] }, inHouseIds: [0] },
+  },
+  {
+    name: "End: draw on a touch-up that hasn't set",
+    previousEnd: WORN_PATH,
+    maintenance: { plan: "touchUp", settle: 0 },
+    deliveries: [{ team: 0, aim: -20, power: 30, spin: 1 }],
+    profile: "championship",
+    expect: { finalX: { 0: [-570, -550] } },
+  },
+  {
+    name: "End: a full scrape by a top crew leaves even pebble",
+    previousEnd: WORN_PATH,
+    maintenance: { plan: "full", quality: 1 },
+    deliveries: [{ team: 0, aim: -20, power: 30, spin: 1 }],
+    profile: "championship",
+    // Nipped to exactly 0.9 everywhere; the draw only wears it down
+    expect: { pebbleMax: { above: 0.899, below: 0.901 } },
+  },
+  {
+    name: "End: a full scrape by a poor crew leaves patchy pebble",
+    previousEnd: WORN_PATH,
+    maintenance: { plan: "full", quality: 0.3 },
+    deliveries: [{ team: 0, aim: -20, power: 30, spin: 1 }],
+    profile: "championship",
+    expect: { pebbleMax: { above: 0.95 } },
+  },
+
+  // ── Opposition sweeping ───────────────────────────────────
+  // A heavy draw stops at the back of the 12-foot. Behind the tee line the
+  // other team may sweep it, and takes it out the back.
+  {
+    name: "End: heavy draw holds in the back of the house",
+    deliveries: [{ team: 0, aim: -15, power: 45, spin: 1 }],
+    profile: "championship",
+    expect: { inHouseIds: [0], scoringTeam: 0, pts: 1 },
+  },
+  {
+    name: "End: opposition sweeps a heavy draw out the back",
+    deliveries: [{ team: 0, aim: -15, power: 45, spin: 1, sweepOpposition: 1 }],
+    profile: "championship",
+    expect: { removedIds: [0], scoringTeam: -1, pts: 0 },
+  },
+];
+
+// ============================================================
+// RULE CHECKS — game rules called directly, no physics
+// ============================================================
+// Each calls the engine export `fn` with `args`. `expect` is the result;
+// for an object, only the fields given are compared. With `throws` the
+// call must throw an Error whose message includes it. Checks that need
+// setting up give `run`, returning the result, in place of `fn` and `args`.
+// A moving stone in front of the tee line, and team 1's guard struck into
+// motion there, for the sweeping checks
+const MOVING = { id: 0, inPlay: true, velocity: 1, x: -450, y: 0 };
+const MOVING_GUARD = { ...MOVING, id: 9, team: 1 };
+// A fresh coarse sheet, for the ice file checks
+const ICE_FILE = { format: "curl-ice", version: 1, cols: 48, rows: 16 };
+
+// A fresh coarse grid with nothing marked changed, for the ice maker checks
+function makerIce() {
+  const grid = new IceGrid(48, 16);
+  grid.takeDirty();
+  return grid;
+}
+const PEBBLE_DAB = { tool: "pebble", x: -300, y: 0, value: 0.6, strength: 1 };
+
+// A profile pack holding the profiles given
+const pack = (profiles) => ({ format: "curl-ice-profiles", version: 1, profiles });
+// A pack with one profile of the features given
+const featurePack = (...features) => pack({ "check:bad": { name: "Bad", features } });
+
+// First cell where a profile shaped from its data (before createIce lets
+// heat settle over pipes) differs from the old code, for each seed given,
+// or null if none does
+function profileChange(key, seeds) {
+  for (const seed of seeds) {
+    const grid = new IceGrid(),
+      old = legacyIce(key, createRng(seed));
+    shapeIce(grid, ICE_PROFILES[key], createRng(seed));
+    grid.refresh();
+    for (const field of Object.keys(CELL_FIELDS))
+      for (let i = 0; i < grid.size; i++) {
+        const got = grid[field][i], was = old[field][i];
+        if (!Object.is(got, was) && !(Math.abs(got - was) < 1e-12)) return { seed, field, i, got, was };
+      }
+  }
+  return null;
+}
+
+export const ruleChecks = [
+  // ── Extra ends ────────────────────────────────────────────
+  {
+    name: "Rules: level after the last end goes to an extra end",
+    fn: "gameResult", args: [[[1, 0, 2, 0], [0, 2, 0, 1]], 4],
+    expect: null,
+  },
+  {
+    name: "Rules: a blank extra end plays another",
+    fn: "gameResult", args: [[[1, 0, 2, 0, 0], [0, 2, 0, 1, 0]], 4],
+    expect: null,
+  },
+  {
+    name: "Rules: a steal in the extra end wins the game",
+    fn: "gameResult", args: [[[1, 0, 2, 0, 0, 0], [0, 2, 0, 1, 0, 1]], 4],
+    expect: { winner: 1, concededBy: -1, end: 6 },
+  },
+
+  // ── Hammer ────────────────────────────────────────────────
+  // nextHammer(team with hammer, scoring team or -1 for a blank)
+  {
+    name: "Rules: hammer stays put after a blank end",
+    fn: "nextHammer", args: [1, -1],
+    expect: 1,
+  },
+  {
+    name: "Rules: hammer stays with the team stolen from",
+    fn: "nextHammer", args: [1, 0],
+    expect: 1,
+  },
+  {
+    name: "Rules: a team that scores with hammer gives it up",
+    fn: "nextHammer", args: [1, 1],
+    expect: 0,
+  },
+
+  // ── Sweeping ──────────────────────────────────────────────
+  // maySweep(rock, team sweeping, delivering team); team 0 delivers
+  {
+    name: "Sweeping: the delivering team sweeps its own stone in front of the tee line",
+    fn: "maySweep", args: [{ ...MOVING, team: 0 }, 0, 0],
+    expect: true,
+  },
+  {
+    name: "Sweeping: the other team can't sweep its own struck stone in front of the tee line",
+    fn: "maySweep", args: [MOVING_GUARD, 1, 0],
+    expect: false,
+  },
+  {
+    name: "Sweeping: the other team has nothing to sweep while its guard moves in front of the tee line",
+    fn: "sweepTarget", args: [[MOVING_GUARD], 1, 0],
+    expect: null,
+  },
+  {
+    name: "Sweeping: either team sweeps any stone behind the tee line",
+    fn: "maySweep", args: [{ ...MOVING, team: 0, x: -600 }, 1, 0],
+    expect: true,
+  },
+
+  // ── Last Stone Draw ───────────────────────────────────────
+  {
+    name: "Rules: a draw is measured to the button",
+    fn: "measureDraw", args: [{ x: -537, y: 4, inPlay: true }],
+    expect: 5,
+  },
+  {
+    name: "Rules: a draw outside the house records LSD_MISS",
+    fn: "measureDraw", args: [{ x: -630, y: 0, inPlay: true }],
+    expect: LSD_MISS,
+  },
+  {
+    name: "Rules: a draw out of play records LSD_MISS",
+    fn: "measureDraw", args: [{ x: -540, y: 0, inPlay: false }],
+    expect: LSD_MISS,
+  },
+  {
+    name: "Rules: the shorter LSD total gets hammer",
+    fn: "lastStoneDraw", args: [[[10, 20], [15, 20]]],
+    expect: { totals: [30, 35], hammer: 0 },
+  },
+  {
+    name: "Rules: level LSD totals go to the better single draw",
+    fn: "lastStoneDraw", args: [[[12, 30], [15, 27]]],
+    expect: { totals: [42, 42], hammer: 0 },
+  },
+  {
+    name: "Rules: a missed draw loses to one in the house",
+    fn: "lastStoneDraw", args: [[[LSD_MISS], [60]]],
+    expect: { hammer: 1 },
+  },
+  {
+    name: "Rules: LSDs that can't be separated go to a coin toss",
+    fn: "lastStoneDraw", args: [[[LSD_MISS, LSD_MISS], [LSD_MISS, LSD_MISS]]],
+    expect: { hammer: -1 },
+  },
+
+  // ── Match setup ───────────────────────────────────────────
+  // Each match length plays every scheduled end, then stops for a leader
+  ...END_OPTIONS.flatMap((n) => [
+    {
+      name: `Rules: ${n} ends — the game goes on after end ${n - 1}`,
+      fn: "gameResult", args: [[[...Array(n - 2).fill(0), 1], Array(n - 1).fill(0)], n],
+      expect: null,
+    },
+    {
+      name: `Rules: ${n} ends — the game is over after end ${n}`,
+      fn: "gameResult", args: [[[...Array(n - 1).fill(0), 1], Array(n).fill(0)], n],
+      expect: { winner: 0, concededBy: -1, end: n },
+    },
+  ]),
+  {
+    name: "Rules: a concession ends the game for the other team",
+    fn: "concedeGame", args: [0, 3],
+    expect: { winner: 1, concededBy: 0, end: 3 },
+  },
+  {
+    name: "Rules: standard games play the chosen stones per team",
+    fn: "matchRules", args: ["standard", 6],
+    expect: { rocksPerTeam: 6, deliveredPerTeam: 6 },
+  },
+  {
+    name: "Rules: mixed doubles keeps its own stones per team",
+    fn: "matchRules", args: ["mixedDoubles", 8],
+    expect: { rocksPerTeam: 6, deliveredPerTeam: 5, noRemovalStones: 3 },
+  },
+
+  // ── Ice crew ──────────────────────────────────────────────
+  {
+    name: "Ice crew: a scrape takes off all the pebble; a poorer crew only leaves it rougher",
+    run: () => {
+      const grid = new IceGrid(48, 16);
+      scrapeIce(grid, "sheet", 0.5, createRng(1));
+      const left = Math.max(...grid.pebbleHeight);
+      return { rough: left > 0, underCrewError: left <= 0.075 };
+    },
+    expect: { rough: true, underCrewError: true },
+  },
+
+  // ── Ice files ─────────────────────────────────────────────
+  {
+    name: "Ice file: a run longer than the grid is refused",
+    fn: "importIce", args: [{ ...ICE_FILE, fields: { pebbleHeight: { runs: [[0, 1e9]] } } }],
+    throws: "should hold 768 cells",
+  },
+  {
+    name: "Ice file: a run of bad length is refused",
+    fn: "importIce", args: [{ ...ICE_FILE, fields: { moisture: { runs: [[0, -5], [0, 773]] } } }],
+    throws: "bad run length",
+  },
+  {
+    name: "Ice file: a grid finer than the game offers is refused",
+    fn: "importIce", args: [{ ...ICE_FILE, cols: 1e6 }],
+    throws: "cols from 2 to 384",
+  },
+  {
+    name: "Ice file: run-length fields are read back",
+    fn: "importIce", args: [{ ...ICE_FILE, fields: { pebbleHeight: { runs: [[0.5, 700], [1, 68]] } } }],
+    expect: { cols: 48, rows: 16, pebbleHeight: { 0: 0.5, 699: 0.5, 700: 1 } },
+  },
+  {
+    name: "Ice file: fields named like object methods are ignored as unknown",
+    fn: "importIce", args: [{ ...ICE_FILE, fields: { toString: [1], constructor: { runs: [[0, 768]] }, moisture: { runs: [[0.5, 768]] } } }],
+    expect: { moisture: { 0: 0.5, 767: 0.5 }, pebbleHeight: { 0: 1 } },
+  },
+
+  // ── Ice maker ─────────────────────────────────────────────
+  {
+    name: "Ice maker: a dab paints toward its value and marks only the cells under it",
+    run: () => {
+      const grid = makerIce();
+      paintIce(grid, PEBBLE_DAB);
+      const { pebbleHeight: p } = grid;
+      return { dirty: grid.takeDirty(), centre: p[grid.index(24, 8)] < 0.7, corner: p[0] };
+    },
+    expect: { dirty: { c0: 23, r0: 6, c1: 26, r1: 9 }, centre: true, corner: 1 },
+  },
+  {
+    name: "Ice maker: painted temperature spreads to the cells around it",
+    run: () => {
+      const grid = makerIce();
+      for (let i = 0; i < 20; i++) grid.stepThermal(1);
+      paintIce(grid, { ...PEBBLE_DAB, tool: "temperature", value: -3 });
+      for (let i = 0; i < 5; i++) grid.stepThermal(1);
+      return grid.temperature[grid.index(24, 11)] < 0;
+    },
+    expect: true,
+  },
+  {
+    name: "Ice maker: a mirrored dab paints the fall the other way across the centre line",
+    run: () => {
+      const grid = makerIce();
+      paintIce(grid, { tool: "slope", x: -300, y: 40, value: 0.002, direction: Math.PI / 2, mirror: true });
+      const top = grid.slopeY[grid.index(...grid.toGrid(-300, 40))],
+        bottom = grid.slopeY[grid.index(...grid.toGrid(-300, -40))];
+      return { top: top > 0, mirrored: Math.abs(top + bottom) < 1e-12, dirty: grid.takeDirty() };
+    },
+    expect: { top: true, mirrored: true, dirty: { r0: 2, r1: 13 } },
+  },
+  {
+    name: "Ice maker: undo and redo a stroke",
+    run: () => {
+      const grid = makerIce(),
+        history = createIceHistory(),
+        at = () => grid.pebbleHeight[grid.index(24, 8)];
+      recordIce(history, grid);
+      paintIce(grid, PEBBLE_DAB);
+      const painted = at();
+      return {
+        undo: undoIce(history, grid) && at() === 1,
+        redo: redoIce(history, grid) && at() === painted,
+        redoAgain: redoIce(history, grid),
+      };
+    },
+    expect: { undo: true, redo: true, redoAgain: false },
+  },
+  {
+    name: "Ice maker: a new stroke clears what was undone",
+    run: () => {
+      const grid = makerIce(),
+        history = createIceHistory();
+      recordIce(history, grid);
+      paintIce(grid, PEBBLE_DAB);
+      undoIce(history, grid);
+      recordIce(history, grid);
+      return redoIce(history, grid);
+    },
+    expect: false,
+  },
+  {
+    name: `Ice maker: only the last ${UNDO_LIMIT} strokes are kept for undo`,
+    run: () => {
+      const grid = makerIce(),
+        history = createIceHistory();
+      for (let i = 0; i < UNDO_LIMIT + 5; i++) {
+        recordIce(history, grid);
+        paintIce(grid, { ...PEBBLE_DAB, strength: 0.1 });
+      }
+      let undos = 0;
+      while (undoIce(history, grid)) undos++;
+      // Back to after the first five strokes, not the fresh sheet
+      return { undos, fresh: grid.pebbleHeight[grid.index(24, 8)] === 1 };
+    },
+    expect: { undos: UNDO_LIMIT, fresh: false },
+  },
+
+  // ── Ice profiles ──────────────────────────────────────────
+  ...["championship", "club", "arena", "swingy"].map((key) => ({
+    name: `Profiles: ${key} builds the same sheet as the old code`,
+    run: () => profileChange(key, [1]),
+    expect: null,
+  })),
+  {
+    // Enough seeds to see the trough and corner both there and not, and
+    // the corner at each end
+    name: "Profiles: discovery builds the same sheets as the old code for 50 seeds",
+    run: () => profileChange("discovery", Array.from({ length: 50 }, (_, i) => i + 1)),
+    expect: null,
+  },
+
+  // ── Profile packs ─────────────────────────────────────────
+  {
+    name: "Profile pack: every kind of parameter loads",
+    fn: "loadIceProfiles",
+    args: [pack({ "check:good": { name: "Good", desc: "All forms.", base: { temperature: -1 }, pipes: true, features: [
+      { type: "dish", grade: { random: [-0.001, 0.001] }, y: 5 },
+      { type: "corner", chance: 0.5, end: { pick: ["house", "hack"] }, side: -1, reach: { house: 150, hack: 100 }, offset: 20, grade: 0.002 },
+      { type: "wear", y: { pick: [-10, 10] }, halfWidth: 12, depth: 0.1 },
+    ] } })],
+    expect: ["check:good"],
+  },
+  {
+    name: "Profile pack: a feature missing a parameter is refused",
+    fn: "loadIceProfiles", args: [featurePack({ type: "wear", y: 0, halfWidth: 10 })],
+    throws: 'feature 1 (wear) needs "depth"',
+  },
+  {
+    name: "Profile pack: a parameter that isn't a number is refused",
+    fn: "loadIceProfiles", args: [featurePack({ type: "dish", grade: "steep" })],
+    throws: 'has a bad "grade"',
+  },
+  {
+    name: "Profile pack: a malformed random draw is refused",
+    fn: "loadIceProfiles", args: [featurePack({ type: "dish", grade: { random: [0.001] } })],
+    throws: 'has a bad "grade"',
+  },
+  {
+    name: "Profile pack: a pick of values a parameter can't take is refused",
+    fn: "loadIceProfiles",
+    args: [featurePack({ type: "corner", end: { pick: ["house", "middle"] }, side: 1, reach: 200, offset: 30, grade: 0.003 })],
+    throws: 'feature 1 (corner) has a bad "end"',
+  },
+  {
+    name: "Profile pack: an unknown parameter is refused",
+    fn: "loadIceProfiles", args: [featurePack({ type: "dish", grade: 0.001, depth: 1 })],
+    throws: 'unknown parameter "depth"',
+  },
+  {
+    name: "Profile pack: a chance over 1 is refused",
+    fn: "loadIceProfiles", args: [featurePack({ type: "dish", grade: 0.001, chance: 2 })],
+    throws: "chance from 0 to 1",
+  },
+  {
+    name: "Profile pack: a base value that isn't a number is refused",
+    fn: "loadIceProfiles", args: [pack({ "check:bad": { name: "Bad", base: { temperature: "cold" } } })],
+    throws: 'sets "temperature" to a non-number',
+  },
+  {
+    name: "Profile pack: a desc that isn't text is refused",
+    fn: "loadIceProfiles", args: [pack({ "check:bad": { name: "Bad", desc: 3 } })],
+    throws: "desc that isn't text",
+  },
+  {
+    // As JSON text, so "__proto__" is an ordinary key as it is in a file
+    name: "Profile pack: a __proto__ key is refused",
+    fn: "loadIceProfiles", args: [JSON.stringify(pack({})).replace("{}", '{ "__proto__": { "name": "Proto" } }')],
+    throws: "reserved key",
+  },
+  {
+    name: "Profile pack: a key every object has is refused",
+    fn: "loadIceProfiles", args: [pack({ constructor: { name: "Constructor" } })],
+    throws: "reserved key",
+  },
+  {
+    name: "Profile pack: a built-in profile can't be replaced",
+    fn: "loadIceProfiles", args: [pack({ club: { name: "Not Club" } })],
+    throws: "would replace a built-in profile",
+  },
+  {
+    name: "Profile pack: nothing is added from a pack that is refused",
+    run: () => {
+      try {
+        loadIceProfiles(pack({ "check:fine": { name: "Fine" }, "check:bad": { name: 1 } }));
+      } catch {}
+      return Object.hasOwn(ICE_PROFILES, "check:fine");
+    },
+    expect: false,
+  },
+];
+
+// ── Benchmark ───────────────────────────────────────────────
+// A swept end on arena ice (brine pipes, so heat keeps moving) that
+// tests/benchmark.mjs plays at every grid resolution.
+export const benchmarkScenario = {
+  name: "Benchmark: eight swept draws on arena ice",
+  deliveries: Array.from({ length: 8 }, (_, i) => ({ team: i % 2, aim: i % 2 ? 20 : -20, power: 30, spin: i % 2 ? -1 : 1, sweep: true })),
+  profile: "arena",
+};